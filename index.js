@@ -1,4 +1,9 @@
 module.exports = {
     version: require('./package.json').version,
-    GiveawaysManager: require('./src/Manager')
+    GiveawaysManager: require('./src/Manager'),
+    StorageAdapter: require('./src/storage/StorageAdapter'),
+    JSONStorage: require('./src/storage/JSONStorage'),
+    MemoryStorage: require('./src/storage/MemoryStorage'),
+    SQLiteStorage: require('./src/storage/SQLiteStorage'),
+    verifyDraw: require('./src/FairDraw').verifyDraw
 }
\ No newline at end of file
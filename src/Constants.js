@@ -14,11 +14,48 @@ const Discord = require('discord.js');
  * @property {string} [winners='winner(s)'] Displayed next to the embed footer, used to display the number of winners of the giveaways.
  * @property {string} [endedAt='End at'] Displayed next to the embed footer, used to display the giveaway end date.
  * @property {string} [hostedBy='Hosted by: {user}'] Below the inviteToParticipate message, in the description of the embed.
+ * @property {string} [drop='@everyone\n\n🎉🎉 **DROP** 🎉🎉'] Displayed above the embed when the drop is running.
+ * @property {string} [dropEnded='@everyone\n\n🎉🎉 **DROP ENDED** 🎉🎉'] Displayed above the embed when the drop is ended.
+ * @property {string} [giveawayCancelled='@everyone\n\n❌ **GIVEAWAY CANCELLED** ❌'] Displayed above the embed when the giveaway is cancelled for lack of participants.
+ * @property {string} [minParticipants='👥 • At least **{count}** participants are needed'] Displayed while a giveaway with a minimum number of participants is running. {count} is replaced automatically.
+ * @property {string} [notEnoughParticipants='Not enough participants: **{entries}** of the **{count}** needed.'] Why the giveaway was cancelled. {entries} and {count} are replaced automatically.
+ * @property {string} [endsAt='Ended At:'] The footer of the embed when the giveaway is running, next to the end date.
+ * @property {string} [countdown='**Time remaining: {seconds} {unit}**!'] Replaces timeRemaining during the final countdown.
+ * @property {string} [liveTimer='Live Timer: [Click Here!]({url})'] The link to the live timer of the giveaway. {url} is replaced automatically.
+ * @property {string} [claimPrize='React with {reaction} within **{duration}** to claim your prize!'] Added to the win message when the giveaway has a claimWithin duration.
+ * @property {string} [fairDrawCommit='🔒 • Fair draw, seed hash: `{hash}`'] Displayed while a fair draw giveaway is running. {hash} is replaced automatically.
+ * @property {string} [fairDrawReveal='🔓 • Fair draw seed: `{seed}`'] Displayed when a fair draw giveaway is ended. {seed} and {hash} are replaced automatically.
+ * @property {string} [giveawayPaused='@everyone\n\n⏸️ **GIVEAWAY PAUSED** ⏸️'] Displayed above the embed while the giveaway is paused.
+ * @property {string} [paused='⏸️ **Paused** • {timeRemaining}'] Replaces timeRemaining while the giveaway is paused. {timeRemaining} is the frozen remaining time.
+ * @property {string} [pausedAt='Paused at'] The footer of the embed while the giveaway is paused, next to the pause date.
+ * @property {string} [tier='**{rank}.** {prize} • {winnerCount} {winnersLabel}'] One line of the prize tiers of a running giveaway. {rank}, {prize}, {winnerCount} and {winnersLabel} are replaced automatically.
+ * @property {string} [tierWinners='**{rank}.** {prize}: {winners}'] One line of the winners of an ended tiered giveaway. {rank}, {prize} and {winners} are replaced automatically.
+ * @property {string} [upcoming='@everyone\n\n📅 **UPCOMING GIVEAWAY** 📅'] Displayed above the embed of a scheduled giveaway, until it starts.
+ * @property {string} [startsAt='Starts at'] The footer of the embed of a scheduled giveaway, next to the start date.
+ * @property {string} [extended='⏰ • Extended by **{duration}** for the last-second entries ({extensions}/{maxExtensions})'] Displayed once the giveaway was extended by the anti-snipe rule. {duration}, {extensions} and {maxExtensions} are replaced automatically.
+ * @property {string} [bonusEntry='✨ • {role}: **×{multiplier}** entries'] One line of the bonus roles of a giveaway. {role} and {multiplier} are replaced automatically.
+ * @property {string} [dropSlots='🎟️ • Slots left: **{slots}** of {winnerCount}'] Displayed while a drop is running. {slots} and {winnerCount} are replaced automatically.
+ * @property {string} [dropWinner='**{position}.** {winner} • `{time}` (+{delay})'] One line of the claim order of an ended drop. {position}, {winner}, {time} and {delay} are replaced automatically.
+ * @property {Object} [embed] The templates of the embed description. See the README for the available placeholders.
+ * @property {string} [embed.upcoming] The description when the giveaway is scheduled
+ * @property {string} [embed.running] The description when the giveaway is running
+ * @property {string} [embed.ended] The description when the giveaway is ended with winners
+ * @property {string} [embed.noWinner] The description when the giveaway is ended without winner
+ * @property {string} [embed.dropEnded] The description when the drop is ended with winners
+ * @property {string} [embed.cancelled] The description when the giveaway is cancelled for lack of participants
+ * @property {Object} [requirements] The lines listing the requirements in the embed
+ * @property {string} [requirements.bypass='📣 Users with {role} role can bypass.'] A role which bypasses the requirements
+ * @property {string} [requirements.role='📣 Must have the {role} role.'] A required role
+ * @property {string} [requirements.joined='📣 Must have been in this server for atleast **{duration}**.'] The joined requirement
+ * @property {string} [requirements.age='📣 Your account age must be older than **{duration}**.'] The account age requirement
+ * @property {string} [requirements.message='📣 You need to send **{amount}** message to this server.'] The message requirement, for one message
+ * @property {string} [requirements.messages='📣 You need to send **{amount}** messages to this server.'] The message requirement, for several messages
  * @property {Object} [units]
  * @property {string} [units.seconds='seconds'] The name of the 'seconds' units
  * @property {string} [units.minutes='minutes'] The name of the 'minutes' units
  * @property {string} [units.hours='hours'] The name of the 'hours' units
  * @property {string} [units.days='days'] The name of the 'days' units
+ * @property {string} [units.weeks='weeks'] The name of the 'weeks' units
  * @property {Boolean} [units.pluralS='false'] Whether to force removing the "S" which marks the plural when the value is lower than 2
  */
 exports.GiveawayMessages = {};
@@ -36,8 +73,37 @@ exports.GiveawayMessages = {};
  * @property {Function} [exemptMembers] Function to filter members. If true is returned, the member won't be able to win the giveaway.
  * @property {Discord.ColorResolvable} [embedColor] The giveaway embeds color when they are running
  * @property {Discord.ColorResolvable} [embedColorEnd] The giveaway embeds color when they are ended
+ * @property {Discord.ColorResolvable} [embedColorPaused] The giveaway embeds color when they are paused
+ * @property {Discord.ColorResolvable} [embedColorCountdown] The giveaway embeds color during the final countdown
  * @property {string} [reaction] The reaction to participate to the giveaways
  * @property {GiveawayMessages} [messages] The giveaway messages
+ * @property {boolean} [rolereq] Whether the entrants must have the roles of roleid
+ * @property {Discord.Snowflake[]} [roleid] The roles the entrants must have
+ * @property {boolean} [joinedreq] Whether the entrants must have been in the server for joinedtime
+ * @property {number} [joinedtime] How long the entrants must have been in the server (in ms)
+ * @property {boolean} [agereq] Whether the entrants accounts must be older than agetime
+ * @property {number} [agetime] How old the entrants accounts must be (in ms)
+ * @property {boolean} [messagereq] Whether the entrants must have sent messageamount messages since the start of the giveaway. Requires messageTracking.enabled.
+ * @property {number} [messageamount] The number of messages the entrants must have sent
+ * @property {boolean} [serverreq] Whether the entrants must be in the servers of serverlink
+ * @property {string[]} [serverlink] The invites of the servers the entrants must be in
+ * @property {Discord.Snowflake[]} [bypassrole] Members with any of these roles bypass the requirements
+ * @property {Discord.Snowflake|Discord.Snowflake[]} [winnerRole] The role(s) given to the winners
+ * @property {number} [winnerRoleDuration] How long the winners keep the winner role (in ms). If not set, the role is kept forever.
+ * @property {string} [giveawayMessageWinner] The message sent in DM to the winners. {winner}, {prize}, {host}, {guild} and {giveawayLink} are replaced automatically.
+ * @property {number|Date} [startAt] When the giveaway starts. If it's in the future, the giveaway is scheduled: it is saved now and posted at this date, even across restarts.
+ * @property {boolean} [showUpcoming] Whether an upcoming giveaway embed (without reaction) is posted until a scheduled giveaway starts.
+ * Without it, the giveaway is identified by a generated ID until it starts, and then by the ID of its message.
+ * @property {PrizeTier[]} [tiers] The prize tiers, from the first to the last one. The winnerCount and the prize (if not set) of the giveaway come from the tiers.
+ * @property {Object<Discord.Snowflake, number>} [bonusEntries] The entry multipliers of the bonus roles, by role ID, e.g. 2 to give twice as many chances to win. A member with several bonus roles gets the highest multiplier.
+ * @property {Function} [entryWeight] Function giving the weight of a member in the draw. Called with the member and its weight from the bonus roles, it returns the weight (or a promise of it), 0 to prevent the member from winning.
+ * @property {AntiSnipeOptions} [antiSnipe] The anti-snipe rule of the giveaway, completed with default.antiSnipe
+ * @property {number} [minParticipants] The minimum number of participants. If fewer members entered when the giveaway ends, the minParticipantsPolicy applies instead of the draw.
+ * @property {MinParticipantsPolicy} [minParticipantsPolicy] What happens without enough participants, completed with default.minParticipantsPolicy
+ * @property {boolean} [isdrop] Whether the giveaway is a drop: the first winnerCount eligible members to react win, and the drop ends as soon as all the slots are filled.
+ * @property {number} [claimWithin] How long the winners have to claim their prize by reacting to the win message (in ms). The winners who don't claim in time are rerolled automatically.
+ * @property {string} [claimReaction] The reaction to claim a prize
+ * @property {boolean} [fairDraw] Whether the winners are drawn with the provably fair draw: the hash of a secret seed is displayed when the giveaway starts, and the seed is revealed at the end so anyone can verify the draw with verifyDraw().
  */
 exports.GiveawayStartOptions = {};
 
@@ -56,11 +122,50 @@ exports.defaultGiveawayMessages = {
     winners: 'winner(s)',
     endedAt: 'End at',
     hostedBy: 'Hosted by: {user}',
+    drop: '@everyone\n\n🎉🎉 **DROP** 🎉🎉',
+    dropEnded: '@everyone\n\n🎉🎉 **DROP ENDED** 🎉🎉',
+    giveawayCancelled: '@everyone\n\n❌ **GIVEAWAY CANCELLED** ❌',
+    minParticipants: '👥 • At least **{count}** participants are needed',
+    notEnoughParticipants: 'Not enough participants: **{entries}** of the **{count}** needed.',
+    endsAt: 'Ended At:',
+    countdown: '**Time remaining: {seconds} {unit}**!',
+    liveTimer: 'Live Timer: [Click Here!]({url})',
+    claimPrize: 'React with {reaction} within **{duration}** to claim your prize!',
+    fairDrawCommit: '🔒 • Fair draw, seed hash: `{hash}`',
+    fairDrawReveal: '🔓 • Fair draw seed: `{seed}`',
+    upcoming: '@everyone\n\n📅 **UPCOMING GIVEAWAY** 📅',
+    startsAt: 'Starts at',
+    giveawayPaused: '@everyone\n\n⏸️ **GIVEAWAY PAUSED** ⏸️',
+    paused: '⏸️ **Paused** • {timeRemaining}',
+    pausedAt: 'Paused at',
+    tier: '**{rank}.** {prize} • {winnerCount} {winnersLabel}',
+    tierWinners: '**{rank}.** {prize}: {winners}',
+    extended: '⏰ • Extended by **{duration}** for the last-second entries ({extensions}/{maxExtensions})',
+    bonusEntry: '✨ • {role}: **×{multiplier}** entries',
+    dropSlots: '🎟️ • Slots left: **{slots}** of {winnerCount}',
+    dropWinner: '**{position}.** {winner} • `{time}` (+{delay})',
+    embed: {
+        upcoming: '🎁 • {prize}\n🏅 • {winnersLabel}: {winnerCount}\n{tiers}\n📅 • Starts: **{startDate}**\n⏳ • Duration: **{duration}**\n{hostedBy}\n\n\n{requirements}\n{bonusEntries}',
+        running: '🎁 • {prize}\n🏅 • {winnersLabel}: {winnerCount}\n{tiers}\n🎲 • Winning Chances: **{chance}**\n{timeRemaining}\n{extended}\n{minParticipants}\n{dropSlots}\n{liveTimer}\n{fairDraw}\n{hostedBy}\n{inviteToParticipate}\n\n\n{requirements}\n{bonusEntries}',
+        ended: '🎁 • **{prize}**\n🏅 • {winnersTitle}: {winners}\n🏆 • {hostedBy}\n🎊 • Total Participants: **{entries}**\n🎲 • Winning Chances: **{chance}**\n{fairDraw}',
+        noWinner: '🎁 • **{prize}**\n🏅 • {winnersLabel}: {noWinner}\n🏆 • {hostedBy}\n🎊 • Total Participants: **{entries}**\n{fairDraw}',
+        dropEnded: '🎁 • **{prize}**\n🏆 • {hostedBy}\n🎊 • Total Participants: **{entries}**\n🏅 • {winnersTitle}:\n{dropOrder}',
+        cancelled: '🎁 • **{prize}**\n❌ • {notEnoughParticipants}\n🏆 • {hostedBy}'
+    },
+    requirements: {
+        bypass: '📣 Users with {role} role can bypass.',
+        role: '📣 Must have the {role} role.',
+        joined: '📣 Must have been in this server for atleast **{duration}**.',
+        age: '📣 Your account age must be older than **{duration}**.',
+        message: '📣 You need to send **{amount}** message to this server.',
+        messages: '📣 You need to send **{amount}** messages to this server.'
+    },
     units: {
         seconds: 'seconds',
         minutes: 'minutes',
         hours: 'hours',
         days: 'days',
+        weeks: 'weeks',
         pluralS: false
     }
 };
@@ -69,16 +174,46 @@ exports.defaultGiveawayMessages = {
  * The giveaways manager options
  * @typedef GiveawaysManagerOptions
  *
- * @property {string} [storage='./giveaways.json'] The storage path for the giveaways.
+ * @property {string|StorageAdapter|boolean} [storage='./giveaways.json'] The storage path for the giveaways (JSON file), a storage adapter, or false if the four storage methods of the manager are overridden.
  * @property {number} [updateCountdownEvery=5000] The giveaway update interval (in ms).
+ * @property {number} [editInterval=250] The minimum delay between two edits of giveaway messages, to avoid the rate limits (in ms).
+ * @property {Function} [render] Builds the giveaway messages instead of the default templates. Called with the giveaway, its state ('upcoming', 'running', 'paused', 'lastChance', 'countdown', 'ended', 'noWinner' or 'cancelled') and a context ({placeholders, format, defaultRender}), it returns {content, embed}, or nothing to use the default rendering.
  * @property {string} [DJSlib] The Discord.js library version you want to use
+ * @property {SchedulerClock} [clock] The clock used to schedule the giveaways (their start, end, claims, winner roles...). Replace it with a fake one to test the scheduling.
  * @property {GiveawayStartOptions} [default] The default options for new giveaways.
  * @property {Boolean} [default.botsCanWin=false] Whether the bots are able to win a giveaway.
  * @property {Discord.PermissionResolvable[]} [default.exemptPermissions=[]] Members with any of these permissions won't be able to win a giveaway.
  * @property {Function} [default.exemptMembers] Function to filter members. If true is returned, the member won't be able to win the giveaway.
+ * @property {Function} [default.entryWeight] Function giving the weight of a member in the draw, for the giveaways without their own entryWeight
  * @property {Discord.ColorResolvable} [default.embedColor='#FF0000'] The giveaway embeds color when they are running
  * @property {Discord.ColorResolvable} [default.embedColorEnd='#000000'] The giveaway embeds color when they are ended
+ * @property {Discord.ColorResolvable} [default.embedColorPaused='GREY'] The giveaway embeds color when they are paused
+ * @property {Discord.ColorResolvable} [default.embedColorCountdown='RED'] The giveaway embeds color during the final countdown
  * @property {string} [default.reaction='🎉'] The reaction to participate to the giveaways
+ * @property {boolean} [default.fairDraw=false] Whether the giveaways use the provably fair draw
+ * @property {boolean} [default.showUpcoming=false] Whether the scheduled giveaways post an upcoming giveaway embed until they start
+ * @property {AntiSnipeOptions} [default.antiSnipe] The anti-snipe rule of the giveaways, disabled by default
+ * @property {MinParticipantsPolicy} [default.minParticipantsPolicy] What happens to the giveaways without enough participants, cancelled by default
+ * @property {string} [default.claimReaction='✅'] The reaction to claim a prize, when the giveaways have a claimWithin duration
+ * @property {Object} [entryCheck] Checks the requirements when a member reacts, and removes ineligible entries
+ * @property {boolean} [entryCheck.enabled=false] Whether the requirements are checked when a member reacts
+ * @property {string} [entryCheck.dmMessage] The message sent in DM to a member whose entry is removed. {prize} and {reasons} are replaced automatically.
+ * @property {string} [entryCheck.channelMessage] The message sent in the giveaway channel if the DM can't be sent. {member}, {prize} and {reasons} are replaced automatically.
+ * @property {number} [entryCheck.deleteChannelMessageAfter=10000] The delay before the channel message is deleted (in ms), 0 to keep it
+ * @property {Object} [messageTracking] Counts the messages of the members for the message requirement
+ * @property {boolean} [messageTracking.enabled=false] Whether the messages are counted. The message requirement is only checked when enabled.
+ * @property {Array<RegExp|string>} [messageTracking.ignorePatterns=[]] Messages matching any of these patterns are not counted
+ * @property {number} [messageTracking.saveEvery=30000] The delay before the new counts are saved in the storage (in ms)
+ * @property {Object} [participants] How the users who reacted to the giveaways are fetched, 100 by 100
+ * @property {number} [participants.maxUsers=0] The maximum number of users fetched for a giveaway, 0 for no limit
+ * @property {boolean} [participants.logProgress=false] Whether the progress is logged in the console, for the very large giveaways
+ * @property {number} [participants.progressEvery=1000] The number of fetched users between two progress logs
+ * @property {Object} [claimRerollMessages] The messages of the automatic rerolls replacing the winners who didn't claim their prize
+ * @property {Object} [liveTimer] The live timer of the giveaways
+ * @property {boolean} [liveTimer.server=false] Whether the manager starts the HTTP server serving the live timers
+ * @property {number} [liveTimer.port=8080] The port of the HTTP server
+ * @property {string} [liveTimer.host] The host of the HTTP server
+ * @property {string} [liveTimer.baseURL] The public URL of the HTTP server, used for the links in the embeds. If not set, the link is omitted.
  */
 exports.GiveawaysManagerOptions = {};
 
@@ -89,19 +224,62 @@ exports.GiveawaysManagerOptions = {};
 exports.defaultManagerOptions = {
     storage: './giveaways.json',
     updateCountdownEvery: 5000,
+    editInterval: 250,
     DJSlib: Discord.version.split('.')[0] === '12' ? 'v12' : 'v11',
     default: {
         botsCanWin: false,
         exemptPermissions: [],
         exemptMembers: () => false,
         embedColor: '#FF0000',
+        embedColorPaused: 'GREY',
+        embedColorCountdown: 'RED',
         reaction: '🎉',
+        fairDraw: false,
+        showUpcoming: false,
+        claimReaction: '✅',
+        antiSnipe: {
+            enabled: false,
+            entries: 3,
+            within: 30000,
+            extendBy: 60000,
+            maxExtensions: 3
+        },
+        minParticipantsPolicy: {
+            action: 'cancel',
+            extendBy: 3600000,
+            maxExtensions: 1
+        },
         lastChance: {
         enabled: false,
         title: "🎉🎉 **LAST CHANCE TO ENTER!** 🎉🎉",
         secondsBeforeLastChance : 5000,
         lastEmbedColor: '#FBEF01'
       }
+    },
+    entryCheck: {
+        enabled: false,
+        dmMessage: 'Your entry to the giveaway for **{prize}** was removed because you do not meet its requirements:\n{reasons}',
+        channelMessage: '{member}, your entry to the giveaway for **{prize}** was removed because you do not meet its requirements:\n{reasons}',
+        deleteChannelMessageAfter: 10000
+    },
+    messageTracking: {
+        enabled: false,
+        ignorePatterns: [],
+        saveEvery: 30000
+    },
+    participants: {
+        maxUsers: 0,
+        logProgress: false,
+        progressEvery: 1000
+    },
+    claimRerollMessages: {
+        replace: ':tada: {replaced} did not claim the prize in time, {winners} replace(s) them! Congratulations!'
+    },
+    liveTimer: {
+        server: false,
+        port: 8080,
+        host: null,
+        baseURL: null
     }
 };
 
@@ -110,8 +288,14 @@ exports.defaultManagerOptions = {
  * @typedef GiveawayRerollOptions
  *
  * @property {number?} [winnerCount=this.winnerCount] The number of winners to pick
+ * @property {boolean} [useSnapshot=true] Whether the winners are drawn from the entrants of the snapshot taken at the end, instead of the current reactions
+ * @property {boolean} [excludeWinners=false] Whether the current winners can't be drawn again
+ * @property {number} [tier] The rank of a prize tier (1 for the first one) whose winners are all replaced, within the same tier
+ * @property {Discord.Snowflake[]} [replace] The IDs of the winners to replace. Only these winners are redrawn, among the entrants who never won the giveaway.
+ * @property {string} [reason] Why the giveaway is rerolled, saved in the reroll history
  * @property {Object} [messages] The messages used in this method
  * @property {string} [messages.congrat=':tada: New winner(s) : {winners}! Congratulations!'] The message used if there are winners
+ * @property {string} [messages.replace=':tada: {winners} replace(s) {replaced}! Congratulations!'] The message used if winners are replaced
  * @property {string} [messages.error='No valid participations, no winners can be chosen!'] The message used if no winner can be choosen
  */
 exports.GiveawayRerollOptions = {};
@@ -122,8 +306,11 @@ exports.GiveawayRerollOptions = {};
  */
 exports.defaultRerollOptions = {
     winnerCount: null,
+    useSnapshot: true,
+    excludeWinners: false,
     messages: {
         congrat: ':tada: New winner(s) : {winners}! Congratulations!',
+        replace: ':tada: {winners} replace(s) {replaced}! Congratulations!',
         error: 'No valid participations, no winners can be chosen!'
     }
 };
@@ -132,10 +319,11 @@ exports.defaultRerollOptions = {
  * The edit method options
  * @typedef GiveawayEditOptions
  *
- * @property {number} [newWinnerCount] The new number of winners
+ * @property {number} [newWinnerCount] The new number of winners. Not available for the giveaways with prize tiers.
  * @property {string} [newPrize] The new giveaway prize
  * @property {number} [addTime] Number of milliseconds to add to the giveaway duration
  * @property {number} [setEndTimestamp] The timestamp of the new end date
+ * @property {number} [setStartTimestamp] The timestamp of the new start date of a scheduled giveaway. The giveaway keeps its duration.
  */
 exports.GiveawayEditOptions = {};
 
@@ -156,8 +344,208 @@ exports.GiveawayEditOptions = {};
  * @property {boolean} [botsCanWin] Whether the bots can win the giveaway
  * @property {Discord.PermissionResolvable[]} [exemptPermissions] Members with any of these permissions won't be able to win the giveaway
  * @property {Function} [exemptMembers] Filter function to exempt members from winning the giveaway
+ * @property {Function} [entryWeight] Function giving the weight of a member in the draw
+ * @property {Object<Discord.Snowflake, number>} [bonusEntries] The entry multipliers of the bonus roles, by role ID
+ * @property {Object<Discord.Snowflake, number>} [entrantWeights] The weights of the entrants when the giveaway ended, if it has bonus entries
  * @property {Discord.ColorResolvable} [embedColor] The color of the giveaway embed
  * @property {Discord.ColorResolvable} [embedColorEnd] The color of the giveaway ended when it's ended
+ * @property {Discord.ColorResolvable} [embedColorPaused] The color of the giveaway embed when it's paused
+ * @property {Discord.ColorResolvable} [embedColorCountdown] The color of the giveaway embed during the final countdown
  * @property {string?} [hostedBy] Mention of user who hosts the giveaway
+ * @property {Object<Discord.Snowflake, number>} [messageCounts] The number of messages sent by each member since the start of the giveaway
+ * @property {RequiredServer[]} [requiredServers] The servers of the server requirement, resolved from their invites
+ * @property {Discord.Snowflake|Discord.Snowflake[]} [winnerRole] The role(s) given to the winners
+ * @property {number?} [winnerRoleDuration] How long the winners keep the winner role (in ms)
+ * @property {Discord.Snowflake[]} [winnerIDs] The IDs of the current winners
+ * @property {Array<{userID: Discord.Snowflake, roleIDs: Discord.Snowflake[], removeAt: number}>} [roleGrants] The winner roles to remove once their duration is over
+ * @property {Discord.Snowflake[]} [entrantIDs] The IDs of the eligible entrants when the giveaway ended
+ * @property {number} [snapshotAt] The date of the entrant snapshot
+ * @property {boolean} [fairDraw] Whether the winners are drawn with the provably fair draw
+ * @property {string} [seed] The secret seed of the fair draw
+ * @property {string} [seedHash] The hash of the seed, committed in the embed
+ * @property {{round: number, winnerCount: number, excludedIDs: Discord.Snowflake[], drawnIDs: Discord.Snowflake[]}} [lastDraw] The last fair draw
+ * @property {RerollRecord[]} [rerollHistory] The rerolls of the giveaway
+ * @property {number} [claimWithin] How long the winners have to claim their prize (in ms)
+ * @property {string} [claimReaction] The reaction to claim a prize
+ * @property {WinnerClaim[]} [claims] The claims of the winners
+ * @property {boolean} [scheduled] Whether the giveaway is scheduled and not started yet
+ * @property {Discord.Snowflake} [scheduledID] The generated ID of the giveaway while it was scheduled, if it changed when the giveaway was posted
+ * @property {boolean} [showUpcoming] Whether the upcoming giveaway embed is posted until the giveaway starts
+ * @property {number} [pausedAt] The date the giveaway was paused, if it's paused
+ * @property {GiveawaySeries} [series] The recurring series of the giveaway, with the number of the occurrence
+ * @property {DropWinner[]} [dropWinners] The winners of the drop, in the order they reacted
+ * @property {PrizeTier[]} [tiers] The prize tiers of the giveaway
+ * @property {AntiSnipeOptions} [antiSnipe] The anti-snipe rule of the giveaway
+ * @property {number} [extensions] The number of times the giveaway was extended by the anti-snipe rule
+ * @property {number} [minParticipants] The minimum number of participants of the giveaway
+ * @property {MinParticipantsPolicy} [minParticipantsPolicy] What happens to the giveaway without enough participants
+ * @property {number} [minParticipantsExtensions] The number of times the giveaway was extended for lack of participants
+ * @property {boolean} [cancelled] Whether the giveaway was cancelled for lack of participants
  */
 exports.GiveawayData = {};
+
+/**
+ * A server of the server requirement, resolved from its invite
+ * @typedef RequiredServer
+ *
+ * @property {string} invite The invite given in serverlink
+ * @property {string?} code The code of the invite
+ * @property {Discord.Snowflake?} guildID The ID of the server
+ * @property {string?} name The name of the server
+ * @property {string?} error Why the membership can't be verified: 'INVALID_INVITE' or 'GUILD_UNAVAILABLE' (the bot is not in the server)
+ */
+exports.RequiredServer = {};
+
+/**
+ * The result of the requirements check of a member
+ * @typedef RequirementResult
+ *
+ * @property {Discord.GuildMember} member The checked member
+ * @property {boolean} eligible Whether the member meets every requirement (or bypasses them)
+ * @property {boolean} bypassed Whether the member bypassed the requirements thanks to a bypass role
+ * @property {Array<{requirement: string, reason: string, error: (Error|undefined)}>} failed The requirements the member failed, with the reason,
+ * and the error if the requirement could not be checked
+ */
+exports.RequirementResult = {};
+
+/**
+ * The delivery report of the giveawayMessageWinner message to a winner
+ * @typedef WinnerMessageReport
+ *
+ * @property {Discord.GuildMember} member The winner
+ * @property {boolean} delivered Whether the message was delivered
+ * @property {?string} method How the message was delivered: 'dm', or 'channel' if the DMs of the winner are closed
+ * @property {?Error} error The error which prevented the DM (or the channel message) from being sent
+ */
+exports.WinnerMessageReport = {};
+
+/**
+ * The entrant snapshot of an ended giveaway
+ * @typedef GiveawaySnapshot
+ *
+ * @property {Discord.Snowflake} messageID The message ID of the giveaway
+ * @property {Discord.Snowflake} channelID The channel ID of the giveaway
+ * @property {Discord.Snowflake} guildID The guild ID of the giveaway
+ * @property {string} prize The prize of the giveaway
+ * @property {number} startAt The start date of the giveaway
+ * @property {number} endAt The end date of the giveaway
+ * @property {number} snapshotAt The date of the snapshot
+ * @property {Discord.Snowflake[]} entrantIDs The IDs of the eligible entrants when the giveaway ended
+ * @property {Discord.Snowflake[]} winnerIDs The IDs of the current winners
+ * @property {string} [seed] The seed of the fair draw, if enabled
+ * @property {string} [seedHash] The hash of the seed, committed in the embed
+ * @property {number} [round] The round of the last draw: 0 for the end, then 1, 2... for the rerolls
+ * @property {number} [winnerCount] The number of winners of the last draw
+ * @property {Discord.Snowflake[]} [excludedIDs] The entrants excluded from the last draw
+ * @property {Discord.Snowflake[]} [drawnIDs] The entrants drawn by the last draw (the replacements, for a reroll replacing some winners)
+ * @property {Object<Discord.Snowflake, number>} [weights] The weights of the entrants, if the giveaway has bonus entries
+ */
+exports.GiveawaySnapshot = {};
+
+/**
+ * A reroll of a giveaway
+ * @typedef RerollRecord
+ *
+ * @property {number} at The date of the reroll
+ * @property {Discord.Snowflake[]} replacedIDs The IDs of the winners who lost their place
+ * @property {Discord.Snowflake[]} winnerIDs The IDs of the new winners
+ * @property {?string} reason Why the giveaway was rerolled
+ */
+exports.RerollRecord = {};
+
+/**
+ * The claim of a winner, when the giveaway has a claimWithin duration
+ * @typedef WinnerClaim
+ *
+ * @property {Discord.Snowflake} userID The ID of the winner
+ * @property {?Discord.Snowflake} messageID The ID of the message announcing the winner, to react to
+ * @property {number} deadline The date before which the prize has to be claimed
+ * @property {string} status 'pending', 'claimed', 'expired', or 'replaced' if the winner was rerolled before the deadline
+ * @property {?number} claimedAt The date of the claim
+ */
+exports.WinnerClaim = {};
+
+/**
+ * A winner of a drop
+ * @typedef DropWinner
+ *
+ * @property {Discord.Snowflake} userID The ID of the winner
+ * @property {number} at The date the reaction of the winner was received
+ */
+exports.DropWinner = {};
+
+/**
+ * A prize tier of a giveaway
+ * @typedef PrizeTier
+ *
+ * @property {string} prize The prize of the tier
+ * @property {number} winnerCount The number of winners of the tier
+ * @property {Discord.Snowflake|Discord.Snowflake[]} [winnerRole] The role(s) given to the winners of the tier, instead of the winnerRole of the giveaway
+ * @property {Discord.Snowflake[]} [winnerIDs] The IDs of the winners of the tier, once the giveaway is ended
+ */
+exports.PrizeTier = {};
+
+/**
+ * The anti-snipe rule: a giveaway receiving enough new entries in its final period is extended, a limited number of times
+ * @typedef AntiSnipeOptions
+ *
+ * @property {boolean} [enabled=false] Whether the giveaway can be extended
+ * @property {number} [entries=3] The number of new entries which extend the giveaway
+ * @property {number} [within=30000] The final period in which the new entries are counted (in ms)
+ * @property {number} [extendBy=60000] The time added to the giveaway for each extension (in ms)
+ * @property {number} [maxExtensions=3] The maximum number of extensions of the giveaway
+ */
+exports.AntiSnipeOptions = {};
+
+/**
+ * What happens to a giveaway which doesn't have enough participants when it ends
+ * @typedef MinParticipantsPolicy
+ *
+ * @property {string} [action='cancel'] 'extend' to extend the giveaway, 'cancel' to cancel it without winner
+ * @property {number} [extendBy=3600000] The time added to the giveaway for each extension (in ms)
+ * @property {number} [maxExtensions=1] The maximum number of extensions, after which the giveaway is cancelled
+ */
+exports.MinParticipantsPolicy = {};
+
+/**
+ * The options of a recurring giveaway series
+ * @typedef GiveawaySeriesOptions
+ *
+ * @property {string} [cron] A cron expression (minute, hour, day of month, month, day of week, in UTC) giving the start dates of the occurrences, e.g. "0 18 * * 1" for every Monday at 18:00
+ * @property {number} [interval] The delay between the starts of two occurrences (in ms), if there's no cron expression
+ * @property {GiveawayStartOptions} template The start options of each occurrence
+ * @property {number|Date} [startAt] The start date of the first occurrence. By default, the next date of the cron expression, or now with an interval.
+ * @property {number} [maxOccurrences] The series ends after this number of occurrences
+ * @property {number|Date} [until] The series ends when the next occurrence would start after this date
+ */
+exports.GiveawaySeriesOptions = {};
+
+/**
+ * A recurring giveaway series, saved with each of its occurrences
+ * @typedef GiveawaySeries
+ *
+ * @property {string} id The ID of the series
+ * @property {Discord.Snowflake} channelID The channel of the occurrences
+ * @property {?string} cron The cron expression of the start dates
+ * @property {?number} interval The delay between the starts of two occurrences (in ms)
+ * @property {GiveawayStartOptions} template The start options of each occurrence
+ * @property {number} occurrence The number of the occurrence (1 for the first one)
+ * @property {?number} maxOccurrences The maximum number of occurrences
+ * @property {?number} until The date after which no occurrence starts
+ * @property {boolean} paused Whether the series is paused: its next occurrence is not posted until it's resumed
+ */
+exports.GiveawaySeries = {};
+
+/**
+ * The statistics of a recurring giveaway series
+ * @typedef GiveawaySeriesStats
+ *
+ * @property {string} seriesID The ID of the series
+ * @property {number} occurrences The number of stored occurrences
+ * @property {number} ended The number of ended occurrences
+ * @property {number} entries The total number of entries of the ended occurrences
+ * @property {number} uniqueEntrants The number of different entrants
+ * @property {number} winners The number of different winners
+ * @property {Discord.Snowflake[]} messageIDs The message IDs of the occurrences, the first one first
+ */
+exports.GiveawaySeriesStats = {};
@@ -0,0 +1,93 @@
+const Scheduler = require('./Scheduler.js');
+
+/**
+ * Sends the edits of the giveaway messages one after the other, with a minimum delay between two of them.
+ * When a message is edited again before its previous edit was sent, only the last edit is sent.
+ */
+class EditQueue {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.interval=250] The minimum delay between two edits (in ms)
+	 * @param {SchedulerClock} [options.clock] The clock, for testing
+	 */
+	constructor(options = {}) {
+		/**
+		 * The minimum delay between two edits (in ms)
+		 * @type {number}
+		 */
+		this.interval = typeof options.interval === 'number' ? options.interval : 250;
+		/**
+		 * The clock used to wait between the edits
+		 * @type {SchedulerClock}
+		 */
+		this.clock = options.clock || Scheduler.defaultClock;
+		/**
+		 * The pending edits, by key
+		 * @type {Map<string, {run: Function, promise: Promise, resolve: Function, reject: Function}>}
+		 * @private
+		 */
+		this._pending = new Map();
+		/**
+		 * Whether the edits are being sent
+		 * @type {boolean}
+		 * @private
+		 */
+		this._running = false;
+	}
+
+	/**
+	 * The number of pending edits
+	 * @type {number}
+	 * @readonly
+	 */
+	get size() {
+		return this._pending.size;
+	}
+
+	/**
+	 * Queues an edit. If an edit with the same key is pending, it is replaced.
+	 * @param {string} key The key of the edit, usually the ID of the edited message
+	 * @param {Function} run The function sending the edit
+	 * @returns {Promise<*>} Resolved with the result of the edit which is finally sent
+	 */
+	push(key, run) {
+		let edit = this._pending.get(key);
+		if (edit) {
+			edit.run = run;
+			return edit.promise;
+		}
+		edit = { run };
+		edit.promise = new Promise((resolve, reject) => {
+			edit.resolve = resolve;
+			edit.reject = reject;
+		});
+		this._pending.set(key, edit);
+		this._process();
+		return edit.promise;
+	}
+
+	/**
+	 * Sends the pending edits
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _process() {
+		if (this._running) return;
+		this._running = true;
+		while (this._pending.size > 0) {
+			const [key, edit] = this._pending.entries().next().value;
+			this._pending.delete(key);
+			try {
+				edit.resolve(await edit.run());
+			} catch (error) {
+				edit.reject(error);
+			}
+			if (this.interval > 0) {
+				await new Promise((resolve) => this.clock.setTimeout(resolve, this.interval));
+			}
+		}
+		this._running = false;
+	}
+}
+
+module.exports = EditQueue;
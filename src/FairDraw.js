@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+/**
+ * The highest weight of an entrant. The higher weights are lowered to it, so the number of tickets stays in the range of the generator.
+ * @type {number}
+ */
+const MAX_WEIGHT = 1000000;
+
+/**
+ * The largest range of the random number generator (2^48)
+ * @type {number}
+ * @ignore
+ */
+const MAX_RANGE = 0x1000000000000;
+
+/**
+ * The data needed to verify a fair draw. An exported giveaway snapshot contains all of it.
+ * @typedef FairDrawData
+ *
+ * @property {string} seed The seed revealed at the end of the giveaway
+ * @property {string} seedHash The SHA-256 hash of the seed, committed in the embed when the giveaway started
+ * @property {Discord.Snowflake[]} entrantIDs The IDs of the entrants when the giveaway ended
+ * @property {number} winnerCount The number of winners drawn
+ * @property {Discord.Snowflake[]} [drawnIDs] The IDs of the announced winners of the draw, compared with the recomputed ones
+ * @property {Discord.Snowflake[]} [winnerIDs] Used instead of drawnIDs if it is not set
+ * @property {number} [round=0] The round of the draw: 0 for the end, then 1, 2... for the rerolls
+ * @property {Discord.Snowflake[]} [excludedIDs=[]] The entrants excluded from the draw (previous winners, members who left)
+ * @property {Object<Discord.Snowflake, number>} [weights] The weights of the entrants, for a giveaway with bonus entries
+ */
+
+/**
+ * The result of the verification of a fair draw
+ * @typedef FairDrawVerification
+ *
+ * @property {boolean} valid Whether the seed matches its hash and the announced winners match the recomputed ones
+ * @property {boolean} seedMatches Whether the seed matches the committed hash
+ * @property {boolean} winnersMatch Whether the announced winners match the recomputed ones
+ * @property {Discord.Snowflake[]} winnerIDs The recomputed winners
+ */
+
+/**
+ * Generates a new secret seed
+ * @returns {string}
+ */
+function createSeed() {
+	return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hashes a seed, to commit it before the draw
+ * @param {string} seed The seed
+ * @returns {string}
+ */
+function hashSeed(seed) {
+	return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Sorts snowflakes in numeric order
+ * @param {Discord.Snowflake[]} ids The snowflakes
+ * @returns {Discord.Snowflake[]} A sorted copy
+ */
+function sortIDs(ids) {
+	return ids.slice().sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Creates a deterministic random number generator: the numbers come from HMAC-SHA256(seed, "round:counter").
+ * @param {string} seed The seed
+ * @param {number} round The round of the draw
+ * @returns {Function} Returns an unbiased integer between 0 (included) and max (excluded)
+ * @ignore
+ */
+function createRandom(seed, round) {
+	let counter = 0;
+	let block = null;
+	let offset = 32;
+	const next32 = () => {
+		if (offset >= 32) {
+			block = crypto.createHmac('sha256', seed).update(`${round}:${counter++}`).digest();
+			offset = 0;
+		}
+		const value = block.readUInt32BE(offset);
+		offset += 4;
+		return value;
+	};
+	return (max) => {
+		if (max > MAX_RANGE) throw new RangeError(`The range of the draw is too large. (val=${max})`);
+		// Ranges above 2^32 use 48 bits, the smaller ones keep drawing 32 bits so the previous draws can still be verified
+		const wide = max > 0x100000000;
+		const range = wide ? MAX_RANGE : 0x100000000;
+		// Reject the values of the last incomplete range to avoid the modulo bias
+		const limit = range - (range % max);
+		let value;
+		do value = wide ? (next32() >>> 16) * 0x100000000 + next32() : next32();
+		while (value >= limit);
+		return value % max;
+	};
+}
+
+/**
+ * Draws entrants without replacement, each one with a chance proportional to its weight.
+ * The weights are converted to whole tickets (1 ticket per hundredth), so the draw stays exact with integers.
+ * The weights above {@link MAX_WEIGHT} are lowered to it.
+ * @param {Discord.Snowflake[]} pool The IDs of the entrants
+ * @param {Object<Discord.Snowflake, number>} weights The weights of the entrants (1 if missing)
+ * @param {number} count The number of entrants to draw
+ * @param {Function} random Returns an integer between 0 (included) and max (excluded)
+ * @returns {Discord.Snowflake[]} The drawn IDs, in the draw order
+ */
+function weightedSample(pool, weights, count, random) {
+	const tickets = pool.map((id) => {
+		const weight = Number(id in weights ? weights[id] : 1);
+		return Number.isFinite(weight) && weight > 0 ? Math.round(Math.min(weight, MAX_WEIGHT) * 100) : 0;
+	});
+	let total = tickets.reduce((sum, t) => sum + t, 0);
+	const drawn = [];
+	while (drawn.length < count && total > 0) {
+		let ticket = random(total);
+		let i = 0;
+		while (ticket >= tickets[i]) ticket -= tickets[i++];
+		drawn.push(pool[i]);
+		total -= tickets[i];
+		tickets[i] = 0;
+	}
+	return drawn;
+}
+
+/**
+ * Draws the winners among the entrants. The result only depends on the seed, the round, the entrants (not their order) and their weights.
+ * @param {string} seed The seed
+ * @param {Discord.Snowflake[]} entrantIDs The IDs of the entrants
+ * @param {number} winnerCount The number of winners to draw
+ * @param {number} [round=0] The round of the draw
+ * @param {Object<Discord.Snowflake, number>} [weights] The weights of the entrants. If not set, every entrant has the same chance.
+ * @returns {Discord.Snowflake[]} The IDs of the winners, in the draw order
+ */
+function draw(seed, entrantIDs, winnerCount, round = 0, weights) {
+	const pool = sortIDs(Array.from(new Set(entrantIDs)));
+	const random = createRandom(seed, round);
+	if (weights) return weightedSample(pool, weights, winnerCount, random);
+	const count = Math.min(winnerCount, pool.length);
+	// Partial Fisher-Yates shuffle
+	for (let i = 0; i < count; i++) {
+		const j = i + random(pool.length - i);
+		[pool[i], pool[j]] = [pool[j], pool[i]];
+	}
+	return pool.slice(0, count);
+}
+
+/**
+ * Recomputes a fair draw, to check that the announced winners are the right ones
+ * @param {FairDrawData} data The data of the draw, e.g. an exported giveaway snapshot
+ * @returns {FairDrawVerification}
+ *
+ * @example
+ * const { verifyDraw } = require('discord-giveaways');
+ * const result = verifyDraw(require('./snapshot.json'));
+ * console.log(result.valid ? 'The draw is fair.' : 'The draw does not match!');
+ */
+function verifyDraw(data) {
+	if (!data || typeof data.seed !== 'string' || !Array.isArray(data.entrantIDs)) {
+		throw new TypeError('The draw data must contain the seed and the entrantIDs.');
+	}
+	const excludedIDs = data.excludedIDs || [];
+	const pool = data.entrantIDs.filter((id) => !excludedIDs.includes(id));
+	const winnerIDs = draw(data.seed, pool, data.winnerCount, data.round || 0, data.weights);
+	const seedMatches = hashSeed(data.seed) === data.seedHash;
+	const announced = data.drawnIDs || data.winnerIDs;
+	const winnersMatch = Array.isArray(announced)
+		? announced.length === winnerIDs.length && winnerIDs.every((id, i) => announced[i] === id)
+		: true;
+	return { valid: seedMatches && winnersMatch, seedMatches, winnersMatch, winnerIDs };
+}
+
+module.exports = {
+	createSeed,
+	hashSeed,
+	MAX_WEIGHT,
+	sortIDs,
+	weightedSample,
+	draw,
+	verifyDraw
+};
@@ -1,12 +1,27 @@
 const Discord = require('discord.js');
+const pms = require('pretty-ms');
 const { EventEmitter } = require('events');
 const {
 	GiveawayEditOptions,
 	GiveawayData,
 	GiveawayMessages,
-	GiveawayRerollOptions
+	GiveawayRerollOptions,
+	RequirementResult,
+	WinnerMessageReport,
+	GiveawaySnapshot,
+	RerollRecord,
+	WinnerClaim,
+	DropWinner,
+	PrizeTier,
+	AntiSnipeOptions,
+	MinParticipantsPolicy,
+	GiveawaySeries,
+	defaultGiveawayMessages
 } = require('./Constants.js');
 const GiveawaysManager = require('./Manager.js');
+const RequirementsChecker = require('./Requirements.js');
+const ParticipantCollector = require('./ParticipantCollector.js');
+const FairDraw = require('./FairDraw.js');
 /**
  * Represents a Giveaway
  */
@@ -47,6 +62,51 @@ class Giveaway extends EventEmitter {
 		 * @type {Boolean}
 		 */
 		this.ended = options.ended;
+		/**
+		 * Whether the giveaway is scheduled and not started yet
+		 * @type {boolean}
+		 */
+		this.scheduled = options.scheduled || false;
+		/**
+		 * The generated ID of the giveaway while it was scheduled, if it changed when the giveaway was posted
+		 * @type {?Discord.Snowflake}
+		 */
+		this.scheduledID = options.scheduledID || null;
+		/**
+		 * Whether the upcoming giveaway embed is posted until the giveaway starts
+		 * @type {boolean}
+		 */
+		this.showUpcoming = options.showUpcoming || false;
+		/**
+		 * The recurring series of the giveaway, if it is an occurrence of a series
+		 * @type {?GiveawaySeries}
+		 */
+		this.series = options.series || null;
+		/**
+		 * The date the giveaway was paused, or null if it's not paused
+		 * @type {?number}
+		 */
+		this.pausedAt = options.pausedAt || null;
+		/**
+		 * The number of times the giveaway was extended by the anti-snipe rule
+		 * @type {number}
+		 */
+		this.extensions = options.extensions || 0;
+		/**
+		 * The minimum number of participants of the giveaway, 0 for no minimum
+		 * @type {number}
+		 */
+		this.minParticipants = options.minParticipants || 0;
+		/**
+		 * The number of times the giveaway was extended because it didn't have enough participants
+		 * @type {number}
+		 */
+		this.minParticipantsExtensions = options.minParticipantsExtensions || 0;
+		/**
+		 * Whether the giveaway was cancelled because it didn't have enough participants
+		 * @type {boolean}
+		 */
+		this.cancelled = Boolean(options.cancelled);
 		/**
 		 * The channel ID of the giveaway
 		 * @type {Discord.Snowflake}
@@ -124,6 +184,11 @@ class Giveaway extends EventEmitter {
 		 */
 		this.messagereq = options.messagereq;
 		this.messageamount = options.messageamount;
+		/**
+		 * The number of messages sent by each member since the start of the giveaway
+		 * @type {Object<Discord.Snowflake, number>}
+		 */
+		this.messageCounts = Object.assign({}, options.messageCounts);
 		/**
 		 * Mark the giveaway as drop
 		 * @type {booelan}
@@ -138,6 +203,11 @@ class Giveaway extends EventEmitter {
 		this.serverreq = options.serverreq;
 		this.serverlink = options.serverlink;
 		this.serverslist = options.serverslist;
+		/**
+		 * The servers of the server requirement, resolved from their invites
+		 * @type {RequiredServer[]}
+		 */
+		this.requiredServers = options.requiredServers || [];
 		/** Bypasses role
 		 * Users that has these roles can bypass the Requirement
 		 * @type {collection}
@@ -153,6 +223,103 @@ class Giveaway extends EventEmitter {
 		 * @type {collection}
 		 */
 		this.winnerRole = options.winnerRole;
+		/**
+		 * How long the winners keep the winner role (in ms), or null to keep it forever
+		 * @type {?number}
+		 */
+		this.winnerRoleDuration = options.winnerRoleDuration || null;
+		/**
+		 * The IDs of the current winners of the giveaway
+		 * @type {Discord.Snowflake[]}
+		 */
+		this.winnerIDs = options.winnerIDs || [];
+		/**
+		 * The prize tiers of the giveaway, from the first to the last one. Empty if all the winners win the same prize.
+		 * @type {PrizeTier[]}
+		 */
+		this.tiers = (options.tiers || []).map(tier => ({
+			prize: tier.prize,
+			winnerCount: Number(tier.winnerCount),
+			winnerRole: tier.winnerRole || null,
+			winnerIDs: tier.winnerIDs || []
+		}));
+		/**
+		 * The entry multipliers of the bonus roles, by role ID. A member with several bonus roles gets the highest multiplier.
+		 * @type {Object<Discord.Snowflake, number>}
+		 */
+		this.bonusEntries = options.bonusEntries || {};
+		/**
+		 * The winner roles to remove once their duration is over
+		 * @type {Array<{userID: Discord.Snowflake, roleIDs: Discord.Snowflake[], removeAt: number}>}
+		 */
+		this.roleGrants = options.roleGrants || [];
+		/**
+		 * The IDs of the eligible entrants when the giveaway ended, used by the rerolls. Null if the giveaway is not ended yet.
+		 * @type {?Discord.Snowflake[]}
+		 */
+		this.entrantIDs = options.entrantIDs || null;
+		/**
+		 * The date of the entrant snapshot
+		 * @type {?number}
+		 */
+		this.snapshotAt = options.snapshotAt || null;
+		/**
+		 * The weights of the entrants of the snapshot, by user ID. Null if the giveaway has no bonus entries or is not ended yet.
+		 * @type {?Object<Discord.Snowflake, number>}
+		 */
+		this.entrantWeights = options.entrantWeights || null;
+		/**
+		 * Whether the winners are drawn with the provably fair draw
+		 * @type {boolean}
+		 */
+		this.fairDraw = Boolean(
+			typeof options.fairDraw === 'boolean' ? options.fairDraw : manager.options.default.fairDraw
+		);
+		/**
+		 * The secret seed of the fair draw, revealed when the giveaway ends
+		 * @type {?string}
+		 */
+		this.seed = options.seed || (this.fairDraw ? FairDraw.createSeed() : null);
+		/**
+		 * The hash of the seed, committed in the embed when the giveaway starts
+		 * @type {?string}
+		 */
+		this.seedHash = options.seedHash || (this.seed ? FairDraw.hashSeed(this.seed) : null);
+		/**
+		 * The last fair draw: its round (0 at the end, then 1, 2... for the rerolls), the number of winners, the excluded entrants and the drawn ones
+		 * @type {?{round: number, winnerCount: number, excludedIDs: Discord.Snowflake[], drawnIDs: Discord.Snowflake[]}}
+		 */
+		this.lastDraw = options.lastDraw || null;
+		/**
+		 * The rerolls of the giveaway, the oldest first
+		 * @type {RerollRecord[]}
+		 */
+		this.rerollHistory = options.rerollHistory || [];
+		/**
+		 * How long the winners have to claim their prize (in ms), or null if they don't have to
+		 * @type {?number}
+		 */
+		this.claimWithin = options.claimWithin || null;
+		/**
+		 * The claims of the winners, when claimWithin is set
+		 * @type {WinnerClaim[]}
+		 */
+		this.claims = options.claims || [];
+		/**
+		 * The members who won the drop, in the order of their reactions
+		 * @type {DropWinner[]}
+		 */
+		this.dropWinners = options.dropWinners || [];
+		/**
+		 * The requirements checker of this giveaway
+		 * @type {RequirementsChecker}
+		 */
+		this.requirements = new RequirementsChecker(this);
+		/**
+		 * The collector fetching the users who reacted to this giveaway
+		 * @type {ParticipantCollector}
+		 */
+		this.participants = new ParticipantCollector(this);
 	}
 
 	/**
@@ -161,7 +328,20 @@ class Giveaway extends EventEmitter {
 	 * @readonly
 	 */
 	get remainingTime() {
-		return this.endAt - Date.now();
+		// The countdown of a paused giveaway is frozen
+		return this.endAt - (this.pausedAt || this.manager.clock.now());
+	}
+
+	/**
+	 * The status of the giveaway
+	 * @type {string} 'scheduled', 'running', 'paused', 'ended' or 'cancelled'
+	 * @readonly
+	 */
+	get status() {
+		if (this.cancelled) return 'cancelled';
+		if (this.ended) return 'ended';
+		if (this.scheduled) return 'scheduled';
+		return this.pausedAt ? 'paused' : 'running';
 	}
 
 	/**
@@ -191,6 +371,22 @@ class Giveaway extends EventEmitter {
 		);
 	}
 
+	/**
+	 * The color of the giveaway embed when it's paused
+	 * @type {Discord.ColorResolvable}
+	 */
+	get embedColorPaused() {
+		return this.options.embedColorPaused || this.manager.options.default.embedColorPaused;
+	}
+
+	/**
+	 * The color of the giveaway embed during the final countdown
+	 * @type {Discord.ColorResolvable}
+	 */
+	get embedColorCountdown() {
+		return this.options.embedColorCountdown || this.manager.options.default.embedColorCountdown;
+	}
+
 	/**
 	 * The reaction on the giveaway message
 	 * @type {string}
@@ -199,6 +395,15 @@ class Giveaway extends EventEmitter {
 		return this.options.reaction || this.manager.options.default.reaction;
 	}
 
+	/**
+	 * The reaction the winners add to the win message to claim their prize
+	 * @type {string}
+	 * @readonly
+	 */
+	get claimReaction() {
+		return this.options.claimReaction || this.manager.options.default.claimReaction;
+	}
+
 	/**
 	 * Whether the bots are able to win the giveaway
 	 * @type {Boolean}
@@ -244,6 +449,81 @@ class Giveaway extends EventEmitter {
 		return false;
 	}
 
+	/**
+	 * The anti-snipe rule of the giveaway: its own options, completed with the default ones of the manager
+	 * @type {AntiSnipeOptions}
+	 * @readonly
+	 */
+	get antiSnipe() {
+		return Object.assign({}, this.manager.options.default.antiSnipe, this.options.antiSnipe || {});
+	}
+
+	/**
+	 * What happens to the giveaway if it doesn't have enough participants: its own policy, completed with the default one of the manager
+	 * @type {MinParticipantsPolicy}
+	 * @readonly
+	 */
+	get minParticipantsPolicy() {
+		return Object.assign({}, this.manager.options.default.minParticipantsPolicy, this.options.minParticipantsPolicy || {});
+	}
+
+	/**
+	 * Whether the entrants have different chances to win: the giveaway has bonus roles or an entry weight function
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get weighted() {
+		return Object.keys(this.bonusEntries).length > 0 || typeof this.entryWeightFunction === 'function';
+	}
+
+	/**
+	 * The function giving the weight of a member, from the options of the giveaway or the default options of the manager
+	 * @type {?Function}
+	 * @readonly
+	 */
+	get entryWeightFunction() {
+		if (typeof this.options.entryWeight === 'function') return this.options.entryWeight;
+		if (typeof this.manager.options.default.entryWeight === 'function') return this.manager.options.default.entryWeight;
+		return null;
+	}
+
+	/**
+	 * Gets the weight of a member in the draw: the highest multiplier of its bonus roles (1 without any), passed to the entry weight function if there is one
+	 * @param {Discord.GuildMember} member The member
+	 * @returns {Promise<number>} The weight, 0 if the member can't be drawn. It can't be higher than 1,000,000.
+	 */
+	async getWeight(member) {
+		const roles = this.manager.v12 ? member.roles.cache : member.roles;
+		let weight = 1;
+		for (const [roleID, multiplier] of Object.entries(this.bonusEntries)) {
+			if (roles.has(roleID)) weight = Math.max(weight, Number(multiplier));
+		}
+		if (this.entryWeightFunction) {
+			try {
+				weight = await this.entryWeightFunction(member, weight);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+		weight = Number(weight);
+		return Number.isFinite(weight) && weight > 0 ? Math.min(weight, FairDraw.MAX_WEIGHT) : 0;
+	}
+
+	/**
+	 * Gets the weights of the entrants. The weights of the snapshot are reused, so the rerolls keep the chances of the end.
+	 * @param {Discord.Collection<Discord.Snowflake, Discord.GuildMember>} entrants The entrants
+	 * @returns {Promise<Object<Discord.Snowflake, number>>}
+	 */
+	async fetchWeights(entrants) {
+		const weights = {};
+		for (const member of entrants.values()) {
+			weights[member.id] = this.entrantWeights && member.id in this.entrantWeights
+				? this.entrantWeights[member.id]
+				: await this.getWeight(member);
+		}
+		return weights;
+	}
+
 	/**
 	 * The channel of the giveaway
 	 * @type {Discord.TextChannel}
@@ -261,6 +541,8 @@ class Giveaway extends EventEmitter {
 	 * @readonly
 	 */
 	get content() {
+		// Units missing from the giveaway messages fall back to the default ones
+		let units = Object.assign({}, defaultGiveawayMessages.units, this.messages.units);
 		let roundTowardsZero = this.remainingTime > 0 ? Math.floor : Math.ceil;
 		// Gets weeks, days, hours, minutes and seconds
 		let weeks = roundTowardsZero(this.remainingTime / 604800000),
@@ -277,46 +559,46 @@ class Giveaway extends EventEmitter {
 			isMinute = minutes > 0;
 		let weekUnit =
 				weeks < 2 &&
-				(this.messages.units.pluralS || this.messages.units.weeks.endsWith('s'))
-					? this.messages.units.weeks.substr(
+				(units.pluralS || units.weeks.endsWith('s'))
+					? units.weeks.substr(
 							0,
-							this.messages.units.weeks.length - 1
+							units.weeks.length - 1
 					  )
-					: this.messages.units.weeks,
+					: units.weeks,
 			dayUnit =
 				days < 2 &&
-				(this.messages.units.pluralS || this.messages.units.days.endsWith('s'))
-					? this.messages.units.days.substr(
+				(units.pluralS || units.days.endsWith('s'))
+					? units.days.substr(
 							0,
-							this.messages.units.days.length - 1
+							units.days.length - 1
 					  )
-					: this.messages.units.days,
+					: units.days,
 			hourUnit =
 				hours < 2 &&
-				(this.messages.units.pluralS || this.messages.units.hours.endsWith('s'))
-					? this.messages.units.hours.substr(
+				(units.pluralS || units.hours.endsWith('s'))
+					? units.hours.substr(
 							0,
-							this.messages.units.hours.length - 1
+							units.hours.length - 1
 					  )
-					: this.messages.units.hours,
+					: units.hours,
 			minuteUnit =
 				minutes < 2 &&
-				(this.messages.units.pluralS ||
-					this.messages.units.minutes.endsWith('s'))
-					? this.messages.units.minutes.substr(
+				(units.pluralS ||
+					units.minutes.endsWith('s'))
+					? units.minutes.substr(
 							0,
-							this.messages.units.minutes.length - 1
+							units.minutes.length - 1
 					  )
-					: this.messages.units.minutes,
+					: units.minutes,
 			secondUnit =
 				seconds < 2 &&
-				(this.messages.units.pluralS ||
-					this.messages.units.seconds.endsWith('s'))
-					? this.messages.units.seconds.substr(
+				(units.pluralS ||
+					units.seconds.endsWith('s'))
+					? units.seconds.substr(
 							0,
-							this.messages.units.seconds.length - 1
+							units.seconds.length - 1
 					  )
-					: this.messages.units.seconds;
+					: units.seconds;
 		// Generates a first pattern
 		let pattern =
 			(!isWeek ? '' : `{weeks} ${weekUnit}, `) +
@@ -325,7 +607,7 @@ class Giveaway extends EventEmitter {
 			(!isMinute ? '' : `{minutes} ${minuteUnit}, `) +
 			`{seconds} ${secondUnit}`;
 		// Format the pattern with the right values
-		let content = this.messages.timeRemaining
+		let content = (this.messages.timeRemaining || defaultGiveawayMessages.timeRemaining)
 			.replace('{duration}', pattern)
 			.replace('{weeks}', weeks.toString())
 			.replace('{days}', days.toString())
@@ -347,6 +629,9 @@ class Giveaway extends EventEmitter {
 			startAt: this.startAt,
 			endAt: this.endAt,
 			ended: this.ended,
+			scheduled: this.scheduled || undefined,
+			scheduledID: this.scheduledID || undefined,
+			showUpcoming: this.showUpcoming || undefined,
 			threeSecondsRemaining: this.threeSecondsRemaining,
 			threeSecondsRemaining2: this.threeSecondsRemaining2,
 			winnerCount: this.winnerCount,
@@ -355,6 +640,8 @@ class Giveaway extends EventEmitter {
 			hostedBy: this.options.hostedBy,
 			embedColor: this.options.embedColor,
 			embedColorEnd: this.options.embedColorEnd,
+			embedColorPaused: this.options.embedColorPaused,
+			embedColorCountdown: this.options.embedColorCountdown,
 			botsCanWin: this.options.botsCanWin,
 			exemptPermissions: this.options.exemptPermissions,
 			exemptMembers: this.options.exemptMembers,
@@ -367,17 +654,60 @@ class Giveaway extends EventEmitter {
 			agetime: this.options.agetime,
 			messagereq: this.options.messagereq,
 			messageamount: this.options.messageamount,
+			messageCounts: this.messageCounts,
 			isdrop: this.options.isdrop,
 			serverreq: this.options.serverreq,
 			serverlink: this.options.serverlink,
-			serverslist: this.options.serverslist,
+			serverslist: this.serverslist,
+			requiredServers: this.requiredServers,
 			bypassrole: this.options.bypassrole,
 			giveawayMessageWinner: this.options.giveawayMessageWinner,
-			winnerRole: this.options.winnerRole
+			winnerRole: this.options.winnerRole,
+			winnerRoleDuration: this.winnerRoleDuration,
+			winnerIDs: this.winnerIDs,
+			roleGrants: this.roleGrants,
+			entrantIDs: this.entrantIDs,
+			snapshotAt: this.snapshotAt,
+			bonusEntries: Object.keys(this.bonusEntries).length > 0 ? this.bonusEntries : undefined,
+			entryWeight: this.options.entryWeight,
+			entrantWeights: this.entrantWeights || undefined,
+			fairDraw: this.fairDraw,
+			seed: this.seed,
+			seedHash: this.seedHash,
+			lastDraw: this.lastDraw,
+			rerollHistory: this.rerollHistory,
+			claimWithin: this.claimWithin,
+			claimReaction: this.options.claimReaction,
+			claims: this.claims,
+			dropWinners: this.dropWinners,
+			tiers: this.tiers.length > 0 ? this.tiers : undefined,
+			series: this.series || undefined,
+			pausedAt: this.pausedAt || undefined,
+			antiSnipe: this.options.antiSnipe,
+			extensions: this.extensions || undefined,
+			minParticipants: this.minParticipants || undefined,
+			minParticipantsPolicy: this.options.minParticipantsPolicy,
+			minParticipantsExtensions: this.minParticipantsExtensions || undefined,
+			cancelled: this.cancelled || undefined
 		};
 		return baseData;
 	}
 
+	/**
+	 * Fetches the upcoming embed of a scheduled giveaway. Unlike fetchMessage, a missing message doesn't delete the giveaway:
+	 * a new message is posted when it starts.
+	 * @returns {Promise<?Discord.Message>} The Discord message, or null if it was deleted
+	 */
+	async fetchUpcomingMessage() {
+		if (!this.channel || !this.messageID) return null;
+		const message = await (this.manager.v12
+			? this.channel.messages.fetch(this.messageID)
+			: this.channel.fetchMessage(this.messageID)
+		).catch(() => null);
+		if (message) this.message = message;
+		return message;
+	}
+
 	/**
 	 * Fetches the giveaway message in its channel
 	 * @returns {Promise<Discord.Message>} The Discord message
@@ -410,72 +740,421 @@ class Giveaway extends EventEmitter {
 	}
 
 	/**
-	 * Gets the giveaway winner(s)
-	 * @param {number} [winnerCount=this.winnerCount] The number of winners to pick
-	 * @returns {Promise<Discord.GuildMember[]>} The winner(s)
+	 * Checks a member against the entry requirements of the giveaway
+	 * @param {Discord.GuildMember} member The member to check
+	 * @returns {Promise<RequirementResult>}
 	 */
-	async ValidEntry() {
-		if (!this.message) return [];
-		// Pick the winner
+	checkRequirements(member) {
+		return this.requirements.check(member);
+	}
+
+	/**
+	 * The reaction used to participate to the giveaway, if the message is fetched
+	 * @type {?Discord.MessageReaction}
+	 * @readonly
+	 */
+	get messageReaction() {
+		if (!this.message) return null;
 		const reactions = this.manager.v12
 			? this.message.reactions.cache
 			: this.message.reactions;
-		const reaction =
+		return (
 			reactions.get(this.reaction) ||
-			reactions.find(r => r.emoji.name === this.reaction);
-		if (!reaction) return new Discord.Collection().array();
-		const guild = this.manager.v12
-			? await this.channel.guild.fetch()
-			: await this.channel.guild.fetchMembers();
-		let users = (this.manager.v12
-			? await reaction.users.fetch()
-			: await reaction.fetchUsers()
-		).filter(u => u.id !== this.message.client.user.id).size;
-		return users;
-	}
-	async winningChance() {
-		let entries = await this.ValidEntry();
+			reactions.find(r => r.emoji.name === this.reaction) ||
+			null
+		);
+	}
+
+	/**
+	 * Fetches the members who reacted to the giveaway and checks them against the entry requirements
+	 * @returns {Promise<Discord.Collection<Discord.Snowflake, RequirementResult>>}
+	 */
+	async evaluateEntrants() {
+		if (!this.message) return new Discord.Collection();
+		const reaction = this.messageReaction;
+		if (!reaction) return new Discord.Collection();
+		const guild = this.channel.guild;
+		const users = (await this.participants.collect(reaction)).filter(
+			u => u.id !== this.message.client.user.id
+		);
+		const members = new Discord.Collection();
+		for (const user of users.values()) {
+			const member =
+				guild.member(user.id) ||
+				(await (this.manager.v12
+					? guild.members.fetch(user.id)
+					: guild.fetchMember(user.id)
+				).catch(() => {}));
+			if (member) members.set(member.id, member);
+		}
+		return this.requirements.checkAll(members);
+	}
+
+	/**
+	 * Gets the members who can win the giveaway: they reacted, meet the requirements and are not exempted
+	 * @returns {Promise<Discord.Collection<Discord.Snowflake, Discord.GuildMember>>}
+	 */
+	async fetchEntrants() {
+		const results = await this.evaluateEntrants();
+		const entrants = new Discord.Collection();
+		for (const result of results.values()) {
+			const member = result.member;
+			if (!result.eligible) continue;
+			if (await this.isExempted(member)) continue;
+			entrants.set(member.id, member);
+		}
+		// A full fetch is the occasion to reconcile the participant ledger, which only keeps the running giveaways
+		if (this.message && !this.ended) this.manager.ledger.set(this.messageID, entrants.keys());
+		return entrants;
+	}
+
+	/**
+	 * Whether a member can't win the giveaway, whatever the requirements: a bot (unless botsCanWin) or an exempted member
+	 * @param {Discord.GuildMember} member The member to check
+	 * @returns {Promise<boolean>}
+	 */
+	async isExempted(member) {
+		if (member.user.bot && !this.botsCanWin) return true;
+		if (this.exemptPermissions.some(p => member.hasPermission(p))) return true;
+		return Boolean(await this.exemptMembers(member));
+	}
+
+	/**
+	 * Gets the members who won the drop, in the order of their reactions. The members who left the server are skipped.
+	 * @returns {Promise<Discord.GuildMember[]>}
+	 */
+	async fetchDropWinners() {
+		const winners = [];
+		if (!this.channel) return winners;
+		const guild = this.channel.guild;
+		for (const entry of this.dropWinners) {
+			const member =
+				guild.member(entry.userID) ||
+				(await (this.manager.v12
+					? guild.members.fetch(entry.userID)
+					: guild.fetchMember(entry.userID)
+				).catch(() => {}));
+			if (member) winners.push(member);
+		}
+		return winners;
+	}
+
+	/**
+	 * The IDs of the current winners and of the winners replaced by the rerolls
+	 * @type {Discord.Snowflake[]}
+	 * @readonly
+	 */
+	get pastWinnerIDs() {
+		const ids = new Set(this.winnerIDs);
+		this.rerollHistory.forEach(r => r.replacedIDs.forEach(id => ids.add(id)));
+		return Array.from(ids);
+	}
+
+	/**
+	 * Gets the members of the entrant snapshot taken when the giveaway ended. The members who left the server are skipped.
+	 * @returns {Promise<Discord.Collection<Discord.Snowflake, Discord.GuildMember>>}
+	 */
+	async fetchSnapshotEntrants() {
+		const members = new Discord.Collection();
+		if (!this.entrantIDs || !this.channel) return members;
+		const guild = this.channel.guild;
+		for (const userID of this.entrantIDs) {
+			const member =
+				guild.member(userID) ||
+				(await (this.manager.v12
+					? guild.members.fetch(userID)
+					: guild.fetchMember(userID)
+				).catch(() => {}));
+			if (member) members.set(member.id, member);
+		}
+		return members;
+	}
+
+	/**
+	 * Exports the entrant snapshot and the winners, to settle disputes
+	 * @returns {?GiveawaySnapshot} Null if the giveaway is not ended
+	 */
+	exportSnapshot() {
+		if (!this.entrantIDs) return null;
+		const snapshot = {
+			messageID: this.messageID,
+			channelID: this.channelID,
+			guildID: this.guildID,
+			prize: this.prize,
+			startAt: this.startAt,
+			endAt: this.endAt,
+			snapshotAt: this.snapshotAt,
+			entrantIDs: this.entrantIDs.slice(),
+			winnerIDs: this.winnerIDs.slice()
+		};
+		if (this.fairDraw && this.lastDraw) {
+			// Everything verifyDraw() needs to recompute the last draw
+			Object.assign(snapshot, {
+				seed: this.seed,
+				seedHash: this.seedHash,
+				round: this.lastDraw.round,
+				winnerCount: this.lastDraw.winnerCount,
+				excludedIDs: this.lastDraw.excludedIDs.slice(),
+				drawnIDs: this.lastDraw.drawnIDs.slice()
+			});
+		}
+		if (this.entrantWeights) snapshot.weights = Object.assign({}, this.entrantWeights);
+		return snapshot;
+	}
+
+	/**
+	 * Gets the number of valid entries of the giveaway
+	 * @returns {Promise<number>}
+	 */
+	async ValidEntry() {
+		return (await this.fetchEntrants()).size;
+	}
+
+	/**
+	 * Gets the chance of an entrant to win the giveaway.
+	 * With a member, gets the chance of this member: 0% if it is not an entrant, and an estimate based on its share of the weights if the giveaway is weighted.
+	 * @param {number} [entries] The number of valid entries, if already known
+	 * @param {Discord.GuildMember} [member] The member
+	 * @returns {Promise<string>}
+	 */
+	async winningChance(entries, member) {
+		if (member) {
+			const entrants = await this.fetchEntrants();
+			if (!entrants.has(member.id)) return '0%';
+			if (!this.weighted) return this.winningChance(entrants.size);
+			const weights = await this.fetchWeights(entrants);
+			const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+			const share = total > 0 ? weights[member.id] / total : 0;
+			// Chance to be drawn at least once in winnerCount draws, the removal of the previous winners being ignored
+			const draws = Math.min(this.winnerCount, entrants.size);
+			return `${parseFloat((100 * (1 - Math.pow(1 - share, draws))).toFixed(5))}%`;
+		}
+		if (typeof entries !== 'number') entries = await this.ValidEntry();
 		let winChance = parseFloat(((100 * this.winnerCount) / entries).toFixed(5));
 		if (entries === 0 || winChance > 100) winChance = 100;
 		return `${winChance}%`;
 	}
-	async roll(winnerCount) {
+
+	/**
+	 * Gets the giveaway winner(s)
+	 * @param {number} [winnerCount=this.winnerCount] The number of winners to pick
+	 * @param {Discord.Collection<Discord.Snowflake, Discord.GuildMember>} [entrants] The entrants, if already fetched
+	 * @returns {Promise<Discord.GuildMember[]>} The winner(s)
+	 */
+	async roll(winnerCount, entrants) {
 		if (!this.message) return [];
-		// Pick the winner
-		const reactions = this.manager.v12
-			? this.message.reactions.cache
-			: this.message.reactions;
-		const reaction =
-			reactions.get(this.reaction) ||
-			reactions.find(r => r.emoji.name === this.reaction);
-		if (!reaction) return new Discord.Collection().array();
-		const guild = this.manager.v12
-			? await this.channel.guild.fetch()
-			: await this.channel.guild.fetchMembers();
-		let users = (this.manager.v12
-			? await reaction.users.fetch()
-			: await reaction.fetchUsers()
-		)
-			.filter(u => u.bot === this.botsCanWin)
-			.filter(u => u.id !== this.message.client.user.id)
-			.filter(u => guild.member(u.id));
-
-		for (let u of users.array()) {
-			const exemptMember = await this.exemptMembers(guild.member(u.id));
-			if (exemptMember) {
-				users.delete(u.id);
+		if (!entrants) entrants = await this.fetchEntrants();
+		const weights = this.weighted ? await this.fetchWeights(entrants) : undefined;
+		if (!this.fairDraw) {
+			if (!weights) return entrants.random(winnerCount || this.winnerCount).filter(m => m);
+			return FairDraw.weightedSample(
+				entrants.map(m => m.id),
+				weights,
+				winnerCount || this.winnerCount,
+				max => Math.floor(Math.random() * max)
+			).map(id => entrants.get(id));
+		}
+		// The entrants of the snapshot who can't be drawn are recorded, so the draw can be verified
+		const entrantIDs = this.entrantIDs || entrants.map(m => m.id);
+		this.lastDraw = {
+			round: this.lastDraw ? this.lastDraw.round + 1 : 0,
+			winnerCount: winnerCount || this.winnerCount,
+			excludedIDs: entrantIDs.filter(id => !entrants.has(id))
+		};
+		this.lastDraw.drawnIDs = FairDraw.draw(
+			this.seed,
+			entrants.map(m => m.id),
+			this.lastDraw.winnerCount,
+			this.lastDraw.round,
+			weights
+		);
+		return this.lastDraw.drawnIDs.map(id => entrants.get(id));
+	}
+
+	/**
+	 * The IDs of the roles given to the winners
+	 * @type {Discord.Snowflake[]}
+	 * @readonly
+	 */
+	get winnerRoleIDs() {
+		if (!this.winnerRole) return [];
+		return Array.isArray(this.winnerRole) ? this.winnerRole : [this.winnerRole];
+	}
+
+	/**
+	 * Gets the tier of a winner
+	 * @param {Discord.Snowflake} userID The ID of the winner
+	 * @returns {?PrizeTier} Null if the giveaway has no tiers or if the user is not a winner
+	 */
+	tierOf(userID) {
+		return this.tiers.find(tier => tier.winnerIDs.includes(userID)) || null;
+	}
+
+	/**
+	 * Gets the prize of a winner: the prize of their tier, or the prize of the giveaway
+	 * @param {Discord.Snowflake} userID The ID of the winner
+	 * @returns {string}
+	 */
+	prizeOf(userID) {
+		const tier = this.tierOf(userID);
+		return tier ? tier.prize : this.prize;
+	}
+
+	/**
+	 * Gets the IDs of the roles given to a winner: the winner role of their tier, or the winner role of the giveaway
+	 * @param {Discord.Snowflake} userID The ID of the winner
+	 * @returns {Discord.Snowflake[]}
+	 */
+	winnerRoleIDsOf(userID) {
+		const tier = this.tierOf(userID);
+		if (!tier || !tier.winnerRole) return this.winnerRoleIDs;
+		return Array.isArray(tier.winnerRole) ? tier.winnerRole : [tier.winnerRole];
+	}
+
+	/**
+	 * Splits the winners between the tiers, in order: the first winners win the first tier
+	 * @param {Discord.Snowflake[]} winnerIDs The IDs of the winners, in order
+	 */
+	assignTiers(winnerIDs) {
+		let index = 0;
+		for (const tier of this.tiers) {
+			tier.winnerIDs = winnerIDs.slice(index, index + tier.winnerCount);
+			index += tier.winnerCount;
+		}
+	}
+
+	/**
+	 * Sets the winners of the giveaway. The winners of a tiered giveaway are sorted by tier.
+	 * @param {Discord.Snowflake[]} winnerIDs The IDs of the winners
+	 * @param {Object<Discord.Snowflake, Discord.Snowflake>} [replacements] The replacements of the replaced winners, who keep their tier
+	 */
+	setWinners(winnerIDs, replacements) {
+		if (this.tiers.length === 0) {
+			this.winnerIDs = winnerIDs;
+			return;
+		}
+		if (replacements) {
+			for (const tier of this.tiers) {
+				tier.winnerIDs = tier.winnerIDs.map(id => replacements[id] || id).filter(id => winnerIDs.includes(id));
+			}
+		} else {
+			this.assignTiers(winnerIDs);
+		}
+		this.winnerIDs = [].concat(...this.tiers.map(tier => tier.winnerIDs));
+	}
+
+	/**
+	 * Mentions the winners, with the prize of their tier if the giveaway has tiers
+	 * @param {Array<Discord.GuildMember|Discord.Snowflake>} winners The winners
+	 * @returns {string}
+	 */
+	formatWinners(winners) {
+		return winners
+			.map(w => {
+				const id = typeof w === 'string' ? w : w.id;
+				const tier = this.tierOf(id);
+				return tier ? `<@${id}> (${tier.prize})` : `<@${id}>`;
+			})
+			.join(', ');
+	}
+
+	/**
+	 * Gives the winner roles to the members. Failures are emitted with the winnerRoleFailed event.
+	 * @param {Discord.GuildMember[]} members The winners
+	 * @returns {Promise<void>}
+	 */
+	async addWinnerRole(members) {
+		for (const member of members) {
+			const roleIDs = this.winnerRoleIDsOf(member.id);
+			if (roleIDs.length === 0) continue;
+			for (const roleID of roleIDs) {
+				await (this.manager.v12 ? member.roles.add(roleID) : member.addRole(roleID)).catch(error =>
+					this.manager.emit('winnerRoleFailed', this, member, roleID, error)
+				);
+			}
+			if (this.winnerRoleDuration) {
+				this.roleGrants = this.roleGrants.filter(g => g.userID !== member.id);
+				this.roleGrants.push({
+					userID: member.id,
+					roleIDs,
+					removeAt: this.manager.clock.now() + this.winnerRoleDuration
+				});
 			}
 		}
+	}
+
+	/**
+	 * Removes the winner roles from the members. Failures are emitted with the winnerRoleFailed event.
+	 * @param {Discord.Snowflake[]} userIDs The IDs of the members
+	 * @param {Discord.Snowflake[]} [roleIDs] The roles to remove. By default, the winner roles of each member.
+	 * @returns {Promise<void>}
+	 */
+	async removeWinnerRole(userIDs, roleIDs) {
+		if (!this.channel) return;
+		const guild = this.channel.guild;
+		for (const userID of userIDs) {
+			const memberRoleIDs = roleIDs || this.winnerRoleIDsOf(userID);
+			if (memberRoleIDs.length === 0) continue;
+			this.roleGrants = this.roleGrants.filter(g => g.userID !== userID);
+			const member = await (this.manager.v12
+				? guild.members.fetch(userID)
+				: guild.fetchMember(userID)
+			).catch(() => {});
+			if (!member) continue;
+			for (const roleID of memberRoleIDs) {
+				await (this.manager.v12 ? member.roles.remove(roleID) : member.removeRole(roleID)).catch(error =>
+					this.manager.emit('winnerRoleFailed', this, member, roleID, error)
+				);
+			}
+		}
+	}
+
+	/**
+	 * The link to the giveaway message
+	 * @type {string}
+	 * @readonly
+	 */
+	get messageURL() {
+		return `https://discord.com/channels/${this.guildID}/${this.channelID}/${this.messageID}`;
+	}
 
-		users = users
-			.filter(
-				u =>
-					!this.exemptPermissions.some(p => guild.member(u.id).hasPermission(p))
-			)
-			.random(winnerCount || this.winnerCount)
-			.filter(u => u)
-			.map(u => guild.member(u));
-		return users;
+	/**
+	 * Sends the giveawayMessageWinner message to the winners in DM, or mentions them in the giveaway channel if their DMs are closed.
+	 * The delivery reports are emitted with the winnerMessageReport event.
+	 * @param {Discord.GuildMember[]} members The winners
+	 * @returns {Promise<WinnerMessageReport[]>}
+	 */
+	async messageWinners(members) {
+		if (!this.giveawayMessageWinner || members.length === 0) return [];
+		const reports = [];
+		for (const member of members) {
+			const content = this.manager.renderer.format(this.giveawayMessageWinner, {
+				winner: member.toString(),
+				prize: this.prizeOf(member.id),
+				host: this.hostedBy || '',
+				guild: this.channel ? this.channel.guild.name : '',
+				giveawayLink: this.messageURL
+			});
+			const report = { member, delivered: true, method: 'dm', error: null };
+			await member.send(content).catch(async error => {
+				report.method = 'channel';
+				report.error = error;
+				// The channel may have been deleted meanwhile
+				if (!this.channel) {
+					report.delivered = false;
+					report.method = null;
+					return;
+				}
+				await this.channel.send(`${member}, ${content}`).catch(err => {
+					report.delivered = false;
+					report.method = null;
+					report.error = err;
+				});
+			});
+			reports.push(report);
+		}
+		this.manager.emit('winnerMessageReport', this, reports);
+		return reports;
 	}
 
 	/**
@@ -497,23 +1176,161 @@ class Giveaway extends EventEmitter {
 						'.'
 				);
 			}
-			await this.fetchMessage().catch(() => {});
-			if (!this.message) {
+			// The winner count of a tiered giveaway is the sum of its tiers
+			if (options.newWinnerCount && this.tiers.length > 0) {
 				return reject(
-					'Unable to fetch message with ID ' + this.messageID + '.'
+					'Giveaway with message ID ' + this.messageID + ' has prize tiers: its winner count can\'t be edited.'
 				);
 			}
+			if (options.setStartTimestamp && !this.scheduled) {
+				return reject(
+					'Giveaway with message ID ' + this.messageID + ' is already started.'
+				);
+			}
+			// A scheduled giveaway has no message until it starts: its upcoming embed is fetched when it's updated, and re-posted at the start if it was deleted
+			if (!this.scheduled) {
+				await this.fetchMessage().catch(() => {});
+				if (!this.message) {
+					return reject(
+						'Unable to fetch message with ID ' + this.messageID + '.'
+					);
+				}
+			}
 			// Update data
 			if (options.newWinnerCount) this.winnerCount = options.newWinnerCount;
 			if (options.newPrize) this.prize = options.newPrize;
+			if (options.setStartTimestamp) {
+				// The giveaway keeps its duration
+				this.endAt = options.setStartTimestamp + this.giveawayDuration;
+				this.startAt = options.setStartTimestamp;
+			}
 			if (options.addTime) this.endAt = this.endAt + options.addTime;
 			if (options.setEndTimestamp) this.endAt = options.setEndTimestamp;
 			// Call the db method
-			await this.manager.editGiveaway(this.messageID, this.data);
-			resolve(this);
+			this.manager.editGiveaway(this.messageID, this.data).then(() => {
+				this.manager.scheduleGiveaway(this);
+				resolve(this);
+			}).catch(reject);
 		});
 	}
 
+	/**
+	 * Pauses the giveaway: its countdown stops, keeping its remaining time, until it is resumed
+	 * @returns {Promise<Giveaway>} The paused giveaway
+	 */
+	pause() {
+		return new Promise(async (resolve, reject) => {
+			if (this.ended || this.scheduled) {
+				return reject(
+					'Giveaway with message ID ' + this.messageID + ' is not running.'
+				);
+			}
+			if (this.pausedAt) {
+				return reject(
+					'Giveaway with message ID ' + this.messageID + ' is already paused.'
+				);
+			}
+			this.pausedAt = this.manager.clock.now();
+			this.manager.editGiveaway(this.messageID, this.data).then(() => {
+				this.manager.scheduleGiveaway(this);
+				resolve(this);
+			}).catch((error) => {
+				// The giveaway keeps running if its new state can't be saved
+				this.pausedAt = null;
+				reject(error);
+			});
+		});
+	}
+
+	/**
+	 * Resumes the paused giveaway: its end date is shifted by the paused duration
+	 * @returns {Promise<Giveaway>} The resumed giveaway
+	 */
+	resume() {
+		return new Promise(async (resolve, reject) => {
+			if (!this.pausedAt) {
+				return reject(
+					'Giveaway with message ID ' + this.messageID + ' is not paused.'
+				);
+			}
+			const { endAt, pausedAt } = this;
+			this.endAt += this.manager.clock.now() - this.pausedAt;
+			this.pausedAt = null;
+			this.manager.editGiveaway(this.messageID, this.data).then(() => {
+				this.manager.scheduleGiveaway(this);
+				resolve(this);
+			}).catch((error) => {
+				// The giveaway stays paused if its new state can't be saved
+				this.endAt = endAt;
+				this.pausedAt = pausedAt;
+				reject(error);
+			});
+		});
+	}
+
+	/**
+	 * The claims which are neither claimed nor expired
+	 * @type {WinnerClaim[]}
+	 * @readonly
+	 */
+	get pendingClaims() {
+		return this.claims.filter(c => c.status === 'pending');
+	}
+
+	/**
+	 * Opens the claim window of new winners. They claim their prize by reacting to the win message.
+	 * @param {Discord.GuildMember[]} members The new winners
+	 * @param {Discord.Message} message The message announcing them
+	 * @returns {Promise<void>}
+	 */
+	async openClaims(members, message) {
+		if (!this.claimWithin || members.length === 0) return;
+		const deadline = this.manager.clock.now() + this.claimWithin;
+		for (const member of members) {
+			this.claims.push({
+				userID: member.id,
+				messageID: message ? message.id : null,
+				deadline,
+				status: 'pending',
+				claimedAt: null
+			});
+		}
+		if (message) await message.react(this.claimReaction).catch(() => {});
+	}
+
+	/**
+	 * The text telling the winners how to claim their prize, added to the win message
+	 * @type {string}
+	 * @readonly
+	 */
+	get claimText() {
+		if (!this.claimWithin) return '';
+		const template = this.messages.claimPrize || defaultGiveawayMessages.claimPrize;
+		return (
+			'\n' +
+			this.manager.renderer.format(template, {
+				reaction: this.claimReaction,
+				duration: pms(this.claimWithin, { verbose: true })
+			})
+		);
+	}
+
+	/**
+	 * Marks the prize of a winner as claimed
+	 * @param {Discord.Snowflake} userID The ID of the winner
+	 * @returns {Promise<boolean>} Whether the winner had a pending claim
+	 */
+	async claim(userID) {
+		const claim = this.pendingClaims.find(c => c.userID === userID);
+		if (!claim || claim.deadline < this.manager.clock.now()) return false;
+		claim.status = 'claimed';
+		claim.claimedAt = this.manager.clock.now();
+		await this.manager.editGiveaway(this.messageID, this.data);
+		this.manager.scheduleGiveaway(this);
+		this.manager.emit('giveawayClaimed', this, userID);
+		return true;
+	}
+
 	/**
 	 * Ends the giveaway
 	 * @returns {Promise<Discord.GuildMember[]>} The winner(s)
@@ -525,6 +1342,11 @@ class Giveaway extends EventEmitter {
 					'Giveaway with message ID ' + this.messageID + ' is already ended'
 				);
 			}
+			if (this.scheduled) {
+				return reject(
+					'Giveaway with message ID ' + this.messageID + ' is not started yet.'
+				);
+			}
 			if (!this.channel) {
 				return reject(
 					'Unable to get the channel of the giveaway with message ID ' +
@@ -539,79 +1361,107 @@ class Giveaway extends EventEmitter {
 					'Unable to fetch message with ID ' + this.messageID + '.'
 				);
 			}
-			let winners = await this.roll();
-			let entries = await this.ValidEntry();
-			let chance = await this.winningChance();
+			let entrants = await this.fetchEntrants();
+			if (!this.isdrop && entrants.size < this.minParticipants) {
+				const policy = this.minParticipantsPolicy;
+				if (policy.action === 'extend' && this.minParticipantsExtensions < policy.maxExtensions) {
+					this.ended = false;
+					this.minParticipantsExtensions++;
+					const extended = await this.edit({ setEndTimestamp: this.manager.clock.now() + policy.extendBy })
+						.then(() => true)
+						.catch(error => {
+							console.error(error);
+							return false;
+						});
+					if (extended) {
+						this.manager.emit('giveawayExtended', this, policy.extendBy, this.minParticipantsExtensions, 'minParticipants');
+						let { content, embed } = await this.manager.renderer.render(this, this.manager.renderer.runningState(this), { entries: entrants.size });
+						this.manager.editQueue
+							.push(this.messageID, () => this.message.edit(content, { embed }))
+							.catch(() => {});
+						return resolve();
+					}
+					// The giveaway couldn't be extended, so it is cancelled instead
+					this.minParticipantsExtensions--;
+				}
+				await this.cancel(entrants).then(() => resolve()).catch(reject);
+				return;
+			}
+			this.entrantIDs = entrants.map(m => m.id);
+			this.snapshotAt = this.manager.clock.now();
+			if (this.weighted) this.entrantWeights = await this.fetchWeights(entrants);
+			// The winners of a drop are the first members who reacted
+			let winners = this.isdrop
+				? await this.fetchDropWinners()
+				: await this.roll(this.winnerCount, entrants);
+			let entries = entrants.size;
+			this.setWinners(winners.map(w => w.id));
+			await this.addWinnerRole(winners);
+			await this.messageWinners(winners);
 			this.manager.emit('giveawayEnded', this, winners);
 			this.manager.editGiveaway(this.messageID, this.data);
+			this.manager.scheduleGiveaway(this);
+			let { content, embed } = await this.manager.renderer.render(
+				this,
+				winners.length > 0 ? 'ended' : 'noWinner',
+				{ entries, winners }
+			);
+			this.manager.editQueue
+				.push(this.messageID, () => this.message.edit(content, { embed }))
+				.catch(() => {});
 			if (winners.length > 0) {
-				let formattedWinners = winners.map(w => `<@${w.id}>`).join(', ');
-				let str =
-					this.messages.winners.substr(0, 1).toUpperCase() +
-					this.messages.winners.substr(1, this.messages.winners.length) +
-					': ' +
-					formattedWinners;
-				let embed = this.manager.v12
-					? new Discord.MessageEmbed()
-					: new Discord.RichEmbed();
-				embed
-					.setColor(this.embedColorEnd)
-					.setFooter(this.messages.endedAt)
-					.setDescription(
-						`🎁 • **${this.prize}**\n🏅 • ${str}\n🏆 • ${
-							this.hostedBy
-								? this.messages.hostedBy.replace('{user}', this.hostedBy)
-								: ''
-						}\n🎊 • Total Participants: **${entries}**\n🎲 • Winning Chances: **${chance}**`
-					)
-					.setTimestamp(new Date(this.endAt).toISOString());
 				let endembed = new Discord.MessageEmbed()
 					.setColor(this.embedColorEnd)
 					.setDescription(
-						`[GIVEAWAY LINK](https://discord.com/channels/${
-							this.message.guild.id
-						}/${this.message.channel.id}/${this.messageID})`
+						`[GIVEAWAY LINK](${this.messageURL})`
 					)
 					.setFooter(`Giveaway ID: ${this.messageID}`)
 					.setTimestamp();
-				this.message.edit(
-					this.isdrop ? this.messages.dropEnded : this.messages.giveawayEnded,
-					{ embed }
-				);
-				this.message.channel.send(
-					this.messages.winMessage
-						.replace('{winners}', formattedWinners)
-						.replace('{prize}', this.prize),
-					endembed
-				);
+				// One congratulation line per tier, with the prize of the tier
+				let winMessage = await this.message.channel
+					.send(
+						(this.tiers.length > 0 ? this.tiers.filter(tier => tier.winnerIDs.length > 0) : [this])
+							.map(tier =>
+								this.manager.renderer.format(this.messages.winMessage, {
+									winners: (tier.winnerIDs || this.winnerIDs).map(id => `<@${id}>`).join(', '),
+									prize: tier.prize
+								})
+							)
+							.join('\n') + this.claimText,
+						endembed
+					)
+					.catch(() => null);
+				if (this.claimWithin) {
+					await this.openClaims(winners, winMessage);
+					await this.manager.editGiveaway(this.messageID, this.data);
+					this.manager.scheduleGiveaway(this);
+				}
 				resolve(winners);
 			} else {
-				let entries = await this.ValidEntry();
-				let embed = this.manager.v12
-					? new Discord.MessageEmbed()
-					: new Discord.RichEmbed();
-				embed
-					.setColor(this.embedColorEnd)
-					.setFooter(this.messages.endedAt)
-					.setDescription(
-						`🎁 • **${this.prize}**\n🏅 • ${this.messages.winners}: ${
-							this.messages.noWinner
-						}\n🏆 • ${
-							this.hostedBy
-								? this.messages.hostedBy.replace('{user}', this.hostedBy)
-								: ''
-						}\n🎊 • Total Participants: **${entries}**`
-					)
-					.setTimestamp(this.endAt);
-				this.message.edit(
-					this.isdrop ? this.messages.dropEnded : this.messages.giveawayEnded,
-					{ embed }
-				);
 				resolve();
 			}
 		});
 	}
 
+	/**
+	 * Cancels the giveaway which is ending without enough participants: no winner is drawn, and the embed tells why
+	 * @param {Discord.Collection<Discord.Snowflake, Discord.GuildMember>} entrants The entrants
+	 * @returns {Promise<void>}
+	 */
+	async cancel(entrants) {
+		this.ended = true;
+		this.cancelled = true;
+		this.entrantIDs = entrants.map(m => m.id);
+		this.snapshotAt = this.manager.clock.now();
+		await this.manager.editGiveaway(this.messageID, this.data);
+		this.manager.scheduleGiveaway(this);
+		this.manager.emit('giveawayCancelled', this, 'minParticipants');
+		let { content, embed } = await this.manager.renderer.render(this, 'cancelled', { entries: entrants.size });
+		this.manager.editQueue
+			.push(this.messageID, () => this.message.edit(content, { embed }))
+			.catch(() => {});
+	}
+
 	/**
 	 * Rerolls the giveaway
 	 * @param {GiveawayRerollOptions} options
@@ -624,6 +1474,11 @@ class Giveaway extends EventEmitter {
 					'Giveaway with message ID ' + this.messageID + ' is not ended.'
 				);
 			}
+			if (this.cancelled) {
+				return reject(
+					'Giveaway with message ID ' + this.messageID + ' was cancelled.'
+				);
+			}
 			if (!this.channel) {
 				return reject(
 					'Unable to get the channel of the giveaway with message ID ' +
@@ -637,12 +1492,93 @@ class Giveaway extends EventEmitter {
 					'Unable to fetch message with ID ' + this.messageID + '.'
 				);
 			}
-			let winners = await this.roll(options.winnerCount);
-			if (winners.length > 0) {
-				let formattedWinners = winners.map(w => '<@' + w.id + '>').join(', ');
-				this.channel.send(
-					options.messages.congrat.replace('{winners}', formattedWinners)
+			if (options.tier && !this.tiers[options.tier - 1]) {
+				return reject(
+					'The giveaway with message ID ' + this.messageID + ' has no tier ' + options.tier + '.'
+				);
+			}
+			// Rerolling a tier replaces all its winners
+			const replace = options.tier
+				? this.tiers[options.tier - 1].winnerIDs
+				: Array.isArray(options.replace) ? options.replace : [];
+			const replacedIDs = replace.filter(id => this.winnerIDs.includes(id));
+			if (replace.length > 0 && replacedIDs.length !== replace.length) {
+				return reject(
+					'Only the current winners of the giveaway with message ID ' +
+						this.messageID +
+						' can be replaced.'
 				);
+			}
+			let entrants =
+				this.entrantIDs && (options.useSnapshot !== false || this.fairDraw)
+					? await this.fetchSnapshotEntrants()
+					: await this.fetchEntrants();
+			if (replacedIDs.length > 0) {
+				// A replacement can't be a current or a past winner
+				const pastWinnerIDs = this.pastWinnerIDs;
+				entrants = entrants.filter(m => !pastWinnerIDs.includes(m.id));
+			} else if (options.excludeWinners) {
+				entrants = entrants.filter(m => !this.winnerIDs.includes(m.id));
+			}
+			let winners = await this.roll(
+				replacedIDs.length > 0 ? replacedIDs.length : options.winnerCount,
+				entrants
+			);
+			if (winners.length > 0) {
+				let winnerIDs;
+				let replacements;
+				if (replacedIDs.length > 0) {
+					// The replacements take the place (and the tier) of the replaced winners, the replaced winners without replacement are removed
+					const replacementIDs = winners.map(w => w.id);
+					replacements = {};
+					replacedIDs.forEach(id => (replacements[id] = replacementIDs.shift()));
+					winnerIDs = this.winnerIDs
+						.map(id => (replacedIDs.includes(id) ? replacements[id] : id))
+						.filter(id => id);
+				} else {
+					winnerIDs = winners.map(w => w.id);
+				}
+				const removedIDs = this.winnerIDs.filter(id => !winnerIDs.includes(id));
+				await this.removeWinnerRole(removedIDs);
+				const newWinners = winners.filter(w => !this.winnerIDs.includes(w.id));
+				const keptWinners = winners.filter(w => this.winnerIDs.includes(w.id));
+				const previousRoleIDs = new Map(keptWinners.map(w => [w.id, this.winnerRoleIDsOf(w.id)]));
+				this.setWinners(winnerIDs, replacements);
+				await this.addWinnerRole(newWinners);
+				// The winners drawn again in another tier get the roles of their new tier
+				for (const member of keptWinners) {
+					const roleIDs = this.winnerRoleIDsOf(member.id);
+					const lostRoleIDs = previousRoleIDs.get(member.id).filter(id => !roleIDs.includes(id));
+					if (lostRoleIDs.length === 0 && roleIDs.every(id => previousRoleIDs.get(member.id).includes(id))) continue;
+					await this.removeWinnerRole([member.id], lostRoleIDs);
+					await this.addWinnerRole([member]);
+				}
+				await this.messageWinners(newWinners);
+				this.rerollHistory.push({
+					at: this.manager.clock.now(),
+					replacedIDs: removedIDs,
+					winnerIDs: newWinners.map(w => w.id),
+					reason: options.reason || null
+				});
+				// The replaced winners can't claim anymore
+				this.pendingClaims
+					.filter(c => removedIDs.includes(c.userID))
+					.forEach(c => (c.status = 'replaced'));
+				let formattedWinners = this.formatWinners(winners);
+				let rerollMessage = await this.channel
+					.send(
+						(replacedIDs.length > 0
+							? this.manager.renderer.format(options.messages.replace, {
+								winners: formattedWinners,
+								replaced: removedIDs.map(id => '<@' + id + '>').join(', ')
+							})
+							: this.manager.renderer.format(options.messages.congrat, { winners: formattedWinners })) +
+							(newWinners.length > 0 ? this.claimText : '')
+					)
+					.catch(() => null);
+				await this.openClaims(newWinners, rerollMessage);
+				await this.manager.editGiveaway(this.messageID, this.data);
+				this.manager.scheduleGiveaway(this);
 				resolve(winners);
 			} else {
 				this.channel.send(options.messages.error);
@@ -2,21 +2,11 @@ const {
 	EventEmitter
 } = require('events');
 const merge = require('deepmerge');
-const {
-	writeFile,
-	readFile,
-	exists
-} = require('fs');
 const {
 	promisify
 } = require('util');
-const writeFileAsync = promisify(writeFile);
-const existsAsync = promisify(exists);
-const readFileAsync = promisify(readFile);
 const ms = require("ms");
-const pms = require('pretty-ms');
 const Discord = require('discord.js');
-const wait = promisify((a, f) => setTimeout(f, a));
 const {
 	defaultGiveawayMessages,
 	defaultManagerOptions,
@@ -25,9 +15,39 @@ const {
 	GiveawayData,
 	GiveawayRerollOptions,
 	GiveawaysManagerOptions,
-	GiveawayStartOptions
+	GiveawayStartOptions,
+	GiveawaySnapshot,
+	GiveawaySeries,
+	GiveawaySeriesOptions,
+	GiveawaySeriesStats,
+	RequirementResult
 } = require('./Constants.js');
 const Giveaway = require('./Giveaway.js');
+const MessageTracker = require('./MessageTracker.js');
+const StorageAdapter = require('./storage/StorageAdapter.js');
+const JSONStorage = require('./storage/JSONStorage.js');
+const Scheduler = require('./Scheduler.js');
+const EditQueue = require('./EditQueue.js');
+const GiveawayRenderer = require('./Renderer.js');
+const TimerServer = require('./TimerServer.js');
+const ParticipantLedger = require('./ParticipantLedger.js');
+const Recurrence = require('./Recurrence.js');
+const FairDraw = require('./FairDraw.js');
+const { isPlainObject } = require('./utils.js');
+
+/**
+ * The duration of the final countdown, updated every second (in ms)
+ * @type {number}
+ * @ignore
+ */
+const FINAL_COUNTDOWN = 3000;
+
+/**
+ * The delay between two refreshes of the server requirement (in ms)
+ * @type {number}
+ * @ignore
+ */
+const SERVER_REQUIREMENT_INTERVAL = 500000;
 
 /**
  * Giveaways Manager
@@ -59,18 +79,103 @@ class GiveawaysManager extends EventEmitter {
 		 * The manager options
 		 * @type {GiveawaysManagerOptions}
 		 */
-		this.options = merge(defaultManagerOptions, options);
+		this.options = merge(defaultManagerOptions, options || {}, { isMergeableObject: isPlainObject });
 		/**
 		 * Whether the Discord.js library version is the v12 one
 		 * @type {boolean}
 		 */
 		this.v12 = this.options.DJSlib === 'v12';
-		this._init();
+		// The subclasses replacing all the storage methods don't use any adapter, even without storage: false.
+		// The ones replacing only some of them use the adapter for the others.
+		const storageMethods = ['getAllGiveaways', 'saveGiveaway', 'editGiveaway', 'deleteGiveaway'];
+		const storageOverridden = storageMethods.every((method) => this[method] !== GiveawaysManager.prototype[method]);
+		/**
+		 * The storage adapter, or null if the storage methods are overridden
+		 * @type {?StorageAdapter}
+		 */
+		this.storage = storageOverridden
+			? null
+			: typeof this.options.storage === 'string'
+				? new JSONStorage(this.options.storage)
+				: this.options.storage || null;
+		if (!storageOverridden && !this.storage) {
+			throw new Error(`A storage is required unless the ${storageMethods.join(', ')} methods are all overridden.`);
+		}
+		/**
+		 * The message counter used for the message requirement
+		 * @type {MessageTracker}
+		 */
+		this.messageTracker = new MessageTracker(this);
+		/**
+		 * The renderer building the giveaway messages
+		 * @type {GiveawayRenderer}
+		 */
+		this.renderer = new GiveawayRenderer(this);
+		/**
+		 * The participants of the running giveaways, updated with the reaction events
+		 * @type {ParticipantLedger}
+		 */
+		this.ledger = new ParticipantLedger(this);
+		/**
+		 * The queues of the entries of the drops, by message ID
+		 * @type {Map<Discord.Snowflake, Promise<void>>}
+		 * @private
+		 */
+		this._dropQueues = new Map();
+		/**
+		 * The recent entries of the giveaways in their final period, counted by the anti-snipe rule, by message ID
+		 * @type {Map<Discord.Snowflake, Array<{userID: Discord.Snowflake, at: number}>>}
+		 * @private
+		 */
+		this._lateEntries = new Map();
+		/**
+		 * The reactions removed by the entry check, whose removal events are ignored, as "messageID:userID"
+		 * @type {Set<string>}
+		 * @private
+		 */
+		this._deniedEntries = new Set();
+		/**
+		 * The clock of the manager, its scheduler and its edit queue: the clock option, or the real one.
+		 * It is taken from the raw options, as the merge would copy a plain object clock.
+		 * @type {SchedulerClock}
+		 */
+		this.clock = (options && options.clock) || Scheduler.defaultClock;
+		/**
+		 * The scheduler running the updates and the end of the giveaways
+		 * @type {Scheduler}
+		 */
+		this.scheduler = new Scheduler((task) => this._runTask(task), { clock: this.clock });
+		/**
+		 * The queue throttling the edits of the giveaway messages
+		 * @type {EditQueue}
+		 */
+		this.editQueue = new EditQueue({ interval: this.options.editInterval, clock: this.clock });
+		/**
+		 * The HTTP server serving the live timers, if enabled
+		 * @type {?TimerServer}
+		 */
+		this.timerServer = this.options.liveTimer.server ? new TimerServer(this, this.options.liveTimer) : null;
+		// The storage can fail to start, e.g. a corrupted JSON file without any good backup
+		this._init().catch((error) => this.emit('error', error));
+		if (this.options.messageTracking.enabled) {
+			this.client.on('message', (message) => this.messageTracker.handleMessage(message));
+		}
 		this.client.on('raw', async (packet) => {
 			if (!['MESSAGE_REACTION_ADD', 'MESSAGE_REACTION_REMOVE'].includes(packet.t)) return;
+			if (packet.t === 'MESSAGE_REACTION_ADD') {
+				const claimed = this.giveaways.find((g) => g.pendingClaims.some((c) => c.messageID === packet.d.message_id && c.userID === packet.d.user_id));
+				if (claimed) {
+					if ([packet.d.emoji.id, packet.d.emoji.name].includes(claimed.claimReaction)) {
+						await claimed.claim(packet.d.user_id).catch((error) => console.error(error));
+					}
+					return;
+				}
+			}
 			const giveaway = this.giveaways.find((g) => g.messageID === packet.d.message_id);
 			if (!giveaway) return;
-			if (giveaway.ended) return;
+			if (giveaway.ended || giveaway.scheduled) return;
+			// The drop entries are queued before any await, so they keep the order of the gateway events
+			if (packet.t === 'MESSAGE_REACTION_ADD' && giveaway.isdrop && !giveaway.pausedAt) this._queueDropEntry(giveaway, packet);
 			const guild = (this.v12 ? this.client.guilds.cache : this.client.guilds).get(packet.d.guild_id);
 			if (!guild) return;
 			const member =
@@ -90,14 +195,138 @@ class GiveawaysManager extends EventEmitter {
 			if (reaction.emoji.name !== packet.d.emoji.name) return;
 			if (reaction.emoji.id && reaction.emoji.id !== packet.d.emoji.id) return;
 			if (packet.t === 'MESSAGE_REACTION_ADD') {
+				// The requirements checked by the entry check are not checked again by the ledger
+				const results = new Map();
+				if (this.options.entryCheck.enabled) {
+					const result = await giveaway.checkRequirements(member);
+					if (!result.eligible) return this._denyEntry(giveaway, member, reaction, result);
+					results.set(member.id, result);
+				}
+				const accepted = (await this.ledger.filter(giveaway, [member], results)).length > 0;
+				if (accepted) this.ledger.add(giveaway.messageID, member.id);
 				this.emit('giveawayReactionAdded', giveaway, member, reaction);
+				// Only the members who can win count toward a surge of late entries
+				if (accepted && !giveaway.isdrop && !giveaway.pausedAt) await this._checkAntiSnipe(giveaway, member);
 			}
 			else {
+				// The member whose entry was denied never participated
+				if (this._deniedEntries.delete(`${giveaway.messageID}:${member.id}`)) return;
+				this.ledger.remove(giveaway.messageID, member.id);
 				this.emit('giveawayReactionRemoved', giveaway, member, reaction);
 			}
 		});
 	}
 
+	/**
+	 * Removes the reaction of a member who doesn't meet the requirements and tells them why
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The giveaway the member reacted to
+	 * @param {Discord.GuildMember} member The ineligible member
+	 * @param {Discord.MessageReaction} reaction The reaction to enter the giveaway
+	 * @param {RequirementResult} result The requirements check of the member
+	 */
+	async _denyEntry(giveaway, member, reaction, result) {
+		const key = `${giveaway.messageID}:${member.id}`;
+		this._deniedEntries.add(key);
+		await (this.v12 ? reaction.users.remove(member.user) : reaction.remove(member.user)).catch(() => this._deniedEntries.delete(key));
+		const reasons = result.failed.map((f) => `• ${f.reason}`).join('\n');
+		const dmMessage = this.renderer.format(this.options.entryCheck.dmMessage, { prize: giveaway.prize, reasons });
+		const sent = await member.send(dmMessage).catch(() => {});
+		if (!sent && giveaway.channel) {
+			const channelMessage = this.renderer.format(this.options.entryCheck.channelMessage, {
+				member: member.toString(),
+				prize: giveaway.prize,
+				reasons
+			});
+			const message = await giveaway.channel.send(channelMessage).catch(() => {});
+			if (message && this.options.entryCheck.deleteChannelMessageAfter > 0) {
+				setTimeout(() => message.delete().catch(() => {}), this.options.entryCheck.deleteChannelMessageAfter);
+			}
+		}
+		this.emit('giveawayEntryDenied', giveaway, member, result.failed);
+	}
+
+	/**
+	 * Counts a late entry of a giveaway, and extends the giveaway if enough entries arrived in its final period
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {Discord.GuildMember} member The member who entered
+	 */
+	async _checkAntiSnipe(giveaway, member) {
+		const antiSnipe = giveaway.antiSnipe;
+		if (!antiSnipe.enabled || giveaway.extensions >= antiSnipe.maxExtensions) return;
+		const now = this.clock.now();
+		if (giveaway.remainingTime <= 0 || giveaway.remainingTime > antiSnipe.within) return;
+		// The entries of the final period, one per member
+		const lateEntries = (this._lateEntries.get(giveaway.messageID) || [])
+			.filter((entry) => now - entry.at <= antiSnipe.within && entry.userID !== member.id);
+		lateEntries.push({ userID: member.id, at: now });
+		if (lateEntries.length < antiSnipe.entries) return this._lateEntries.set(giveaway.messageID, lateEntries);
+		// Counted before the edit, so the entries handled meanwhile can't extend the giveaway twice
+		this._lateEntries.delete(giveaway.messageID);
+		giveaway.extensions++;
+		try {
+			await this.edit(giveaway.messageID, { addTime: antiSnipe.extendBy });
+		} catch (error) {
+			// The giveaway ended or was deleted meanwhile
+			giveaway.extensions--;
+			return console.error(error);
+		}
+		this.emit('giveawayExtended', giveaway, antiSnipe.extendBy, giveaway.extensions, 'antiSnipe');
+		await this._updateGiveaway(giveaway);
+	}
+
+	/**
+	 * Queues a reaction to a drop. The entries of a drop are handled one after the other, in the order they were received.
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The drop
+	 * @param {Object} packet The MESSAGE_REACTION_ADD packet
+	 */
+	_queueDropEntry(giveaway, packet) {
+		if (![packet.d.emoji.id, packet.d.emoji.name].includes(giveaway.reaction)) return;
+		const receivedAt = this.clock.now();
+		const queue = this._dropQueues.get(giveaway.messageID) || Promise.resolve();
+		this._dropQueues.set(
+			giveaway.messageID,
+			queue.then(() => this._handleDropEntry(giveaway, packet.d.user_id, receivedAt)).catch((error) => console.error(error))
+		);
+	}
+
+	/**
+	 * Makes an eligible member win the drop, if there are slots left, and ends the drop once they are all filled
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The drop
+	 * @param {Discord.Snowflake} userID The ID of the member who reacted
+	 * @param {number} receivedAt The date the reaction was received
+	 */
+	async _handleDropEntry(giveaway, userID, receivedAt) {
+		if (giveaway.ended || giveaway.pausedAt || giveaway.dropWinners.length >= giveaway.winnerCount) return;
+		if (userID === this.client.user.id || giveaway.dropWinners.some((w) => w.userID === userID)) return;
+		const guild = giveaway.channel && giveaway.channel.guild;
+		if (!guild) return;
+		const member =
+			(this.v12 ? guild.members.cache : guild.members).get(userID) ||
+			(await (this.v12 ? guild.members.fetch(userID) : guild.fetchMember(userID)).catch(() => {}));
+		if (!member) return;
+		if (!(await giveaway.checkRequirements(member)).eligible) return;
+		if (await giveaway.isExempted(member)) return;
+		if (giveaway.ended) return;
+		giveaway.dropWinners.push({ userID, at: receivedAt });
+		await this.editGiveaway(giveaway.messageID, giveaway.data);
+		this.emit('giveawayDropWon', giveaway, member, giveaway.dropWinners.length);
+		if (giveaway.dropWinners.length >= giveaway.winnerCount) {
+			this._dropQueues.delete(giveaway.messageID);
+			await this.end(giveaway.messageID).catch(() => {});
+		}
+		else {
+			await this._updateGiveaway(giveaway);
+		}
+	}
+
 	/**
 	 * Ends a giveaway. This method is automatically called when a giveaway ends.
 	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
@@ -112,13 +341,24 @@ class GiveawaysManager extends EventEmitter {
 			if (!giveaway) {
 				return reject('No giveaway found with ID ' + messageID + '.');
 			}
-			giveaway.end().then(resolve).catch(reject);
+			giveaway.end().then((winners) => {
+				resolve(winners);
+				// A giveaway extended for lack of participants is not ended yet
+				if (!giveaway.ended) return;
+				this.ledger.delete(messageID);
+				this._lateEntries.delete(messageID);
+				// The next occurrence of a recurring giveaway is posted once the previous one is ended
+				this._continueSeries(giveaway).catch((error) => console.error(error));
+			}).catch(reject);
 		});
 	}
 
 	/**
 	 * Starts a new giveaway
 	 *
+	 * A giveaway scheduled without upcoming embed has no message yet: it is identified by a generated ID until it starts,
+	 * and then by the ID of its message. The `giveawayStarted` event gives both IDs.
+	 *
 	 * @param {Discord.TextChannel} channel The channel in which the giveaway will be created
 	 * @param {GiveawayStartOptions} options The options for the giveaway
 	 *
@@ -134,6 +374,25 @@ class GiveawaysManager extends EventEmitter {
 	 *      // Limit the giveaway to members who have the Nitro Boost role
 	 *      exemptMembers: (member) => !member.roles.some((r) => r.name === "Nitro Boost")
 	 * });
+	 *
+	 * @example
+	 * manager.start(message.channel, {
+	 *      time: 86400000,
+	 *      // Nitro for the first winner, a role for the two next ones
+	 *      tiers: [
+	 *          { prize: "Discord Nitro", winnerCount: 1 },
+	 *          { prize: "VIP role", winnerCount: 2, winnerRole: "712354685487465897" }
+	 *      ]
+	 * });
+	 *
+	 * @example
+	 * manager.start(message.channel, {
+	 *      prize: "Discord Nitro",
+	 *      time: 86400000,
+	 *      winnerCount: 1,
+	 *      // The boosters have 2 entries, the patrons 3
+	 *      bonusEntries: { "712354685487465897": 2, "712354685487465898": 3 }
+	 * });
 	 */
 	start(channel, options) {
 		return new Promise(async (resolve, reject) => {
@@ -149,15 +408,48 @@ class GiveawaysManager extends EventEmitter {
 			if (!options.time || isNaN(options.time)) {
 				return reject(`options.time is not a number. (val=${options.time})`);
 			}
+			if (options.tiers) {
+				if (!Array.isArray(options.tiers) || options.tiers.length === 0) {
+					return reject(`options.tiers is not a non-empty array. (val=${options.tiers})`);
+				}
+				const invalidTier = options.tiers.find((tier) => !tier || !tier.prize || !tier.winnerCount || isNaN(tier.winnerCount));
+				if (invalidTier) {
+					return reject(`options.tiers contains a tier without prize or winnerCount. (val=${JSON.stringify(invalidTier)})`);
+				}
+				// The winner count and the prize of a tiered giveaway come from its tiers
+				options.winnerCount = options.tiers.reduce((count, tier) => count + Number(tier.winnerCount), 0);
+				if (!options.prize) options.prize = options.tiers.map((tier) => tier.prize).join(' / ');
+			}
 			if (!options.prize) {
 				return reject(`options.prize is not a string. (val=${options.prize})`);
 			}
 			if (!options.winnerCount || isNaN(options.winnerCount)) {
 				return reject(`options.winnerCount is not a number. (val=${options.winnerCount})`);
 			}
+			if (options.messagereq === true && !this.options.messageTracking.enabled) {
+				return reject('options.messagereq requires the messageTracking.enabled option of the manager.');
+			}
+			if (options.minParticipants !== undefined && (isNaN(options.minParticipants) || options.minParticipants < 0)) {
+				return reject(`options.minParticipants is not a positive number. (val=${options.minParticipants})`);
+			}
+			if (options.bonusEntries) {
+				const invalidRole = Object.keys(options.bonusEntries).find((roleID) => {
+					const multiplier = options.bonusEntries[roleID];
+					return typeof multiplier !== 'number' || !(multiplier > 0) || multiplier > FairDraw.MAX_WEIGHT;
+				});
+				if (!isPlainObject(options.bonusEntries) || invalidRole) {
+					return reject(`options.bonusEntries is not a map of positive multipliers (up to ${FairDraw.MAX_WEIGHT}). (val=${JSON.stringify(options.bonusEntries)})`);
+				}
+			}
+			const startAt = options.startAt instanceof Date ? options.startAt.getTime() : options.startAt;
+			if (startAt !== undefined && startAt !== null && isNaN(startAt)) {
+				return reject(`options.startAt is not a timestamp. (val=${options.startAt})`);
+			}
+			// A giveaway starting in the future is saved now and posted at its start date
+			const scheduled = Boolean(startAt) && startAt > this.clock.now();
 			let giveaway = new Giveaway(this, {
-				startAt: Date.now(),
-				endAt: Date.now() + options.time,
+				startAt: scheduled ? startAt : this.clock.now(),
+				endAt: (scheduled ? startAt : this.clock.now()) + options.time,
 				winnerCount: options.winnerCount,
 				channelID: channel.id,
 				guildID: channel.guild.id,
@@ -173,6 +465,8 @@ class GiveawaysManager extends EventEmitter {
 				exemptMembers: options.exemptMembers,
 				embedColor: options.embedColor,
 				embedColorEnd: options.embedColorEnd,
+				embedColorPaused: options.embedColorPaused,
+				embedColorCountdown: options.embedColorCountdown,
 				rolereq: options.rolereq,
 				roleid: options.roleid,
 				joinedreq: options.joinedreq,
@@ -187,55 +481,347 @@ class GiveawaysManager extends EventEmitter {
 				serverslist: options.serverslist,
 				bypassrole: options.bypassrole,
 				giveawayMessageWinner: options.giveawayMessageWinner,
-				winnerRole: options.winnerRole
+				winnerRole: options.winnerRole,
+				winnerRoleDuration: options.winnerRoleDuration,
+				fairDraw: options.fairDraw,
+				claimWithin: options.claimWithin,
+				claimReaction: options.claimReaction,
+				tiers: options.tiers,
+				bonusEntries: options.bonusEntries,
+				antiSnipe: options.antiSnipe,
+				minParticipants: options.minParticipants,
+				minParticipantsPolicy: options.minParticipantsPolicy,
+				entryWeight: options.entryWeight,
+				series: options.series,
+				scheduled,
+				showUpcoming: scheduled && (typeof options.showUpcoming === 'boolean' ? options.showUpcoming : this.options.default.showUpcoming)
 			});
-			let chance = await giveaway.winningChance();
-			let timerwebsite = `https://aestetikmod.mirzabhakti.repl.co/timer/?started=${giveaway.startAt}&ended=${giveaway.endAt}&prize=${encodePrize(giveaway.prize)}`
-			let bypassroleslist = '';
-			let cc = 0;
-			if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length > 1) {
-				giveaway.bypassrole.forEach(function(role) {
-					bypassroleslist += (c === 0 ? `📣 Users with <@&${role}> role can bypass.` : `\n📣 Users with <@&${role}> role can bypass.`)
-					cc++
-				})
-			}
-			else if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length === 1) {
-				bypassroleslist += `📣 Users with <@&${giveaway.bypassrole}> role can bypass.`
-			}
-			let roleslist = '';
-			let c = 0;
-			if (Array.isArray(giveaway.roleid) && giveaway.roleid.length > 1) {
-				giveaway.roleid.forEach(function(role) {
-					roleslist += (c === 0 ? `📣 Must have the <@&${role}> role.` : `\n📣 Must have the <@&${role}> role.`)
-					c++
-				})
-			}
-			else if (Array.isArray(giveaway.roleid) && giveaway.roleid.length === 1) {
-				roleslist += `📣 Must have the <@&${giveaway.roleid}> role.`
-			}
-			let embed = this.v12 ? new Discord.MessageEmbed() : new Discord.RichEmbed();
-			embed
-				.setColor(giveaway.embedColor)
-				.setDescription(
-					`🎁 • ${giveaway.prize}\n🏅 • ${giveaway.messages.winners}: ${giveaway.winnerCount}\n${giveaway.content}\n🎲 • Winning Chances: **${chance}**\nLive Timer: [Click Here!](${timerwebsite})\n${
-                        giveaway.hostedBy ? giveaway.messages.hostedBy.replace('{user}', giveaway.hostedBy) : ''
-                    }\n${options.messages.inviteToParticipate} \n\n\n${bypassroleslist}${giveaway.serverreq === true ? `\n${giveaway.serverslist}` : ''}${giveaway.rolereq === true ? `\n${roleslist}` : ''}${giveaway.joinedreq === true ? `\n📣 Must have been in this server for atleast **${pms(giveaway.joinedtime, {verbose: true})}**.` : ''}${giveaway.agereq === true ? `\n📣 Your account age must be older than **${pms(giveaway.agetime, {verbose: true})}**.` : ''}${giveaway.messagereq === true ? `\n📣 You need to send **${giveaway.messageamount}** ${(giveaway.messageamount > 1) ? `messages` : `message`} to this server.` : ''}`
-				)
-				.setFooter('Ended At:')
-				.setTimestamp(giveaway.endAt);
-			let message = await channel.send(options.isdrop ? options.messages.drop : options.messages.giveaway, {
-				embed
-			})
-			roleslist = '';
-			c = 0;
-			bypassroleslist = '';
-			cc = 0;
-			message.react(giveaway.reaction);
+			(scheduled ? this._saveScheduled(giveaway) : this._publish(giveaway)).then(() => resolve(giveaway)).catch(reject);
+		});
+	}
+
+	/**
+	 * Saves a scheduled giveaway and schedules its start, after posting its upcoming embed if it has one
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The scheduled giveaway
+	 */
+	async _saveScheduled(giveaway) {
+		if (giveaway.showUpcoming) {
+			let { content, embed } = await this.renderer.render(giveaway, 'upcoming', { entries: 0 });
+			let message = await giveaway.channel.send(content, { embed });
+			giveaway.message = message;
 			giveaway.messageID = message.id;
+		}
+		else {
+			// The giveaway gets the ID of its message once it is posted
+			giveaway.messageID = Discord.SnowflakeUtil.generate();
+		}
+		await this.saveGiveaway(giveaway.messageID, giveaway.data);
+		this.giveaways.push(giveaway);
+		this.scheduleGiveaway(giveaway);
+	}
+
+	/**
+	 * Posts the message of a giveaway which starts, saves it and schedules its updates.
+	 * The upcoming embed of a scheduled giveaway becomes its running embed; if it was deleted, a new message is posted.
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The giveaway
+	 */
+	async _publish(giveaway) {
+		const previousID = giveaway.messageID;
+		let { content, embed } = await this.renderer.render(giveaway, 'running', { entries: 0 });
+		let message = null;
+		if (previousID && giveaway.showUpcoming) {
+			const upcoming = await giveaway.fetchUpcomingMessage();
+			if (upcoming) message = await upcoming.edit(content, { embed }).catch(() => null);
+		}
+		if (!message) message = await giveaway.channel.send(content, { embed });
+		message.react(giveaway.reaction);
+		giveaway.message = message;
+		giveaway.messageID = message.id;
+		this.ledger.set(giveaway.messageID, []);
+		if (!previousID) {
 			this.giveaways.push(giveaway);
 			await this.saveGiveaway(giveaway.messageID, giveaway.data);
-			await this._updateGiveaway(giveaway)
-			resolve(giveaway);
+		}
+		else if (previousID !== giveaway.messageID) {
+			// The giveaway is saved with the ID of its new message
+			if (giveaway.scheduledID === null) giveaway.scheduledID = previousID;
+			this.scheduler.cancel(previousID);
+			await this.deleteGiveaway(previousID);
+			await this.saveGiveaway(giveaway.messageID, giveaway.data);
+		}
+		else {
+			await this.editGiveaway(giveaway.messageID, giveaway.data);
+		}
+		if (giveaway.serverreq) {
+			await this.updateServerRequirement(giveaway);
+			this.scheduler.schedule(giveaway.messageID, 'servers', this.clock.now() + SERVER_REQUIREMENT_INTERVAL);
+		}
+		await this._updateGiveaway(giveaway);
+		this.scheduleGiveaway(giveaway);
+	}
+
+	/**
+	 * Starts a scheduled giveaway. If the bot was offline at its start date, it starts now, with its full duration.
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The scheduled giveaway
+	 */
+	async _startScheduled(giveaway) {
+		if (!giveaway.channel) return;
+		const duration = giveaway.giveawayDuration;
+		giveaway.scheduled = false;
+		giveaway.startAt = Math.max(giveaway.startAt, this.clock.now());
+		giveaway.endAt = giveaway.startAt + duration;
+		const previousID = giveaway.messageID;
+		await this._publish(giveaway);
+		this.emit('giveawayStarted', giveaway, previousID);
+	}
+
+	/**
+	 * Updates the upcoming embed of a scheduled giveaway
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The scheduled giveaway
+	 */
+	async _updateUpcoming(giveaway) {
+		if (!giveaway.scheduled || !giveaway.showUpcoming) return;
+		if (!giveaway.message) await giveaway.fetchUpcomingMessage();
+		if (!giveaway.message) return;
+		let { content, embed } = await this.renderer.render(giveaway, 'upcoming', { entries: 0 });
+		await this.editQueue.push(giveaway.messageID, () => giveaway.message.edit(content, { embed })).catch(() => {});
+	}
+
+	/**
+	 * Starts a recurring giveaway series. Each time an occurrence ends, the next one is scheduled at the next date of the series,
+	 * until the series is paused or reaches its end condition.
+	 * @param {Discord.TextChannel} channel The channel of the occurrences
+	 * @param {GiveawaySeriesOptions} options The options of the series
+	 * @returns {Promise<Giveaway>} The first occurrence
+	 *
+	 * @example
+	 * // A giveaway every Monday at 18:00 UTC, lasting a day, for ten weeks
+	 * manager.startRecurring(message.channel, {
+	 *      cron: "0 18 * * 1",
+	 *      maxOccurrences: 10,
+	 *      template: { prize: "Weekly Nitro", winnerCount: 1, time: 86400000 }
+	 * });
+	 */
+	startRecurring(channel, options = {}) {
+		return new Promise(async (resolve, reject) => {
+			if (!channel || !channel.id) {
+				return reject(`channel is not a valid guildchannel. (val=${channel})`);
+			}
+			if (!options.template) {
+				return reject(`options.template is not a giveaway start options object. (val=${options.template})`);
+			}
+			if (options.cron) {
+				try {
+					Recurrence.parseCron(options.cron);
+				} catch (error) {
+					return reject(error.message);
+				}
+			}
+			else if (!options.interval || isNaN(options.interval) || options.interval <= 0) {
+				return reject(`options.cron or options.interval must be set. (val=${options.interval})`);
+			}
+			const toTimestamp = (date) => (date instanceof Date ? date.getTime() : date || null);
+			const series = {
+				id: Discord.SnowflakeUtil.generate(),
+				channelID: channel.id,
+				cron: options.cron || null,
+				interval: options.cron ? null : options.interval,
+				template: options.template,
+				occurrence: 1,
+				maxOccurrences: options.maxOccurrences || null,
+				until: toTimestamp(options.until),
+				paused: false
+			};
+			const startAt = toTimestamp(options.startAt) || (series.cron ? Recurrence.nextCronDate(series.cron, this.clock.now()) : this.clock.now());
+			if (!startAt) {
+				return reject(`The cron expression never matches. (val=${options.cron})`);
+			}
+			this.start(channel, Object.assign({}, options.template, { startAt, series })).then(resolve).catch(reject);
+		});
+	}
+
+	/**
+	 * Posts the next occurrence of the series of a giveaway which just ended, unless the series is paused or over
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The ended occurrence
+	 */
+	async _continueSeries(giveaway) {
+		const series = giveaway.series;
+		if (!series || series.paused) return;
+		if (this._seriesHead(series.id) !== giveaway) return;
+		const channel = (this.v12 ? this.client.channels.cache : this.client.channels).get(series.channelID);
+		// The occurrences of an interval series start at a fixed rate, the ones of a cron series at its next date
+		const startAt = Recurrence.nextOccurrence(series, series.cron ? this.clock.now() : giveaway.startAt);
+		if (
+			!channel ||
+			!startAt ||
+			(series.maxOccurrences && series.occurrence >= series.maxOccurrences) ||
+			(series.until && startAt > series.until)
+		) {
+			this.emit('giveawaySeriesEnded', series, giveaway);
+			return;
+		}
+		await this.start(channel, Object.assign({}, series.template, {
+			startAt,
+			series: Object.assign({}, series, { occurrence: series.occurrence + 1 })
+		}));
+	}
+
+	/**
+	 * Gets the last occurrence of a series, which holds its current settings
+	 * @ignore
+	 * @private
+	 * @param {string} seriesID The ID of the series
+	 * @returns {?Giveaway}
+	 */
+	_seriesHead(seriesID) {
+		return this.getSeriesGiveaways(seriesID).pop() || null;
+	}
+
+	/**
+	 * Gets the occurrences of a recurring series, the first one first
+	 * @param {string} seriesID The ID of the series
+	 * @returns {Giveaway[]}
+	 */
+	getSeriesGiveaways(seriesID) {
+		return this.giveaways
+			.filter((g) => g.series && g.series.id === seriesID)
+			.sort((a, b) => a.series.occurrence - b.series.occurrence);
+	}
+
+	/**
+	 * Gets the current settings of a recurring series: the ones of its last occurrence
+	 * @param {string} seriesID The ID of the series
+	 * @returns {?GiveawaySeries}
+	 */
+	getSeries(seriesID) {
+		const head = this._seriesHead(seriesID);
+		return head ? head.series : null;
+	}
+
+	/**
+	 * Gets the statistics of a recurring series, from its stored occurrences
+	 * @param {string} seriesID The ID of the series
+	 * @returns {?GiveawaySeriesStats}
+	 */
+	getSeriesStats(seriesID) {
+		const occurrences = this.getSeriesGiveaways(seriesID);
+		if (occurrences.length === 0) return null;
+		const ended = occurrences.filter((g) => g.ended);
+		const entrants = new Set();
+		const winners = new Set();
+		let entries = 0;
+		ended.forEach((g) => {
+			(g.entrantIDs || []).forEach((id) => entrants.add(id));
+			entries += (g.entrantIDs || []).length;
+			g.winnerIDs.forEach((id) => winners.add(id));
+		});
+		return {
+			seriesID,
+			occurrences: occurrences.length,
+			ended: ended.length,
+			entries,
+			uniqueEntrants: entrants.size,
+			winners: winners.size,
+			messageIDs: occurrences.map((g) => g.messageID)
+		};
+	}
+
+	/**
+	 * Pauses a recurring series: its running occurrence ends normally, but the next one is not posted until the series is resumed.
+	 * A scheduled occurrence doesn't start.
+	 * @param {string} seriesID The ID of the series
+	 * @returns {Promise<GiveawaySeries>}
+	 */
+	pauseSeries(seriesID) {
+		return this._setSeriesPaused(seriesID, true);
+	}
+
+	/**
+	 * Resumes a paused recurring series. If its last occurrence is ended, the next one is posted.
+	 * @param {string} seriesID The ID of the series
+	 * @returns {Promise<GiveawaySeries>}
+	 */
+	resumeSeries(seriesID) {
+		return this._setSeriesPaused(seriesID, false);
+	}
+
+	/**
+	 * Pauses or resumes a recurring series
+	 * @ignore
+	 * @private
+	 * @param {string} seriesID The ID of the series
+	 * @param {boolean} paused Whether the series is paused
+	 * @returns {Promise<GiveawaySeries>}
+	 */
+	_setSeriesPaused(seriesID, paused) {
+		return new Promise(async (resolve, reject) => {
+			const head = this._seriesHead(seriesID);
+			if (!head) {
+				return reject('No giveaway series found with ID ' + seriesID + '.');
+			}
+			const previous = head.series.paused;
+			head.series.paused = paused;
+			this.editGiveaway(head.messageID, head.data).then(async () => {
+				this.scheduleGiveaway(head);
+				if (!paused && head.ended) await this._continueSeries(head);
+				resolve(head.series);
+			}, (error) => {
+				// The series keeps its state if it can't be saved
+				head.series.paused = previous;
+				reject(error);
+			}).catch(reject);
+		});
+	}
+
+	/**
+	 * Gets the scheduled giveaways, the next one first
+	 * @param {Discord.Snowflake} [guildID] Only the giveaways of this server
+	 * @returns {Giveaway[]}
+	 *
+	 * @example
+	 * const upcoming = manager.getScheduledGiveaways(message.guild.id);
+	 * message.channel.send(upcoming.map((g) => `${g.prize} - ${new Date(g.startAt).toUTCString()} (${g.messageID})`).join('\n'));
+	 */
+	getScheduledGiveaways(guildID) {
+		return this.giveaways
+			.filter((g) => g.scheduled && (!guildID || g.guildID === guildID))
+			.sort((a, b) => a.startAt - b.startAt);
+	}
+
+	/**
+	 * Cancels a scheduled giveaway: its upcoming embed and its data are deleted
+	 * @param {Discord.Snowflake} messageID The message ID of the scheduled giveaway
+	 * @returns {Promise<Giveaway>} The cancelled giveaway
+	 */
+	cancelScheduled(messageID) {
+		return new Promise(async (resolve, reject) => {
+			const giveaway = this.giveaways.find((g) => g.messageID === messageID);
+			if (!giveaway) {
+				return reject('No giveaway found with ID ' + messageID + '.');
+			}
+			if (!giveaway.scheduled) {
+				return reject('Giveaway with message ID ' + messageID + ' is not scheduled.');
+			}
+			if (giveaway.showUpcoming) {
+				const message = await giveaway.fetchUpcomingMessage();
+				if (message) message.delete().catch(() => {});
+			}
+			this.giveaways = this.giveaways.filter((g) => g.messageID !== messageID);
+			this.scheduler.cancel(messageID);
+			this.deleteGiveaway(messageID).then(() => {
+				this.emit('giveawayCancelled', giveaway, 'scheduled');
+				resolve(giveaway);
+			}).catch(reject);
 		});
 	}
 
@@ -248,13 +834,30 @@ class GiveawaysManager extends EventEmitter {
 			giveaway.ValidEntry().then(resolve).catch(reject);
 		});
 	}
-	winningChance(messageID) {
+	/**
+	 * Gets the chance to win a giveaway: the chance of any entrant, or the one of a user if its ID is given
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @param {Discord.Snowflake} [userID] The ID of the user
+	 * @returns {Promise<string>}
+	 *
+	 * @example
+	 * manager.winningChance(messageID, message.author.id).then((chance) => message.reply(`You have ${chance} to win!`));
+	 */
+	winningChance(messageID, userID) {
 		return new Promise(async (resolve, reject) => {
 			const giveaway = this.giveaways.find((g) => g.messageID === messageID);
 			if (!giveaway) {
 				return reject('No giveaway found with ID ' + messageID + '.');
 			}
-			giveaway.winningChance().then(resolve).catch(reject);
+			if (!userID) return giveaway.winningChance().then(resolve).catch(reject);
+			const guild = giveaway.channel ? giveaway.channel.guild : null;
+			if (!guild) {
+				return reject('Unable to get the channel of the giveaway with message ID ' + messageID + '.');
+			}
+			const member = guild.member(userID) ||
+				(await (this.v12 ? guild.members.fetch(userID) : guild.fetchMember(userID)).catch(() => {}));
+			if (!member) return resolve('0%');
+			giveaway.winningChance(undefined, member).then(resolve).catch(reject);
 		});
 	}
 	timeRemaining(messageID) {
@@ -275,22 +878,65 @@ class GiveawaysManager extends EventEmitter {
 	 *
 	 * @example
 	 * manager.reroll("664900661003157510");
+	 *
+	 * @example
+	 * // Replace a winner who didn't answer, keeping the other ones
+	 * manager.reroll("664900661003157510", { replace: ["123456789012345678"], reason: "No answer" });
 	 */
 	reroll(messageID, options = {}) {
 		return new Promise(async (resolve, reject) => {
 			options = merge(defaultRerollOptions, options);
-			let giveawayData = this.giveaways.find((g) => g.messageID === messageID);
-			if (!giveawayData) {
+			const giveaway = this.giveaways.find((g) => g.messageID === messageID);
+			if (!giveaway) {
 				return reject('No giveaway found with ID ' + messageID + '.');
 			}
-			let giveaway = new Giveaway(this, giveawayData);
 			giveaway.reroll(options).then((winners) => {
-				this.emit('giveawayRerolled', giveaway, winners)
-				resolve();
+				const record = winners.length > 0 ? giveaway.rerollHistory[giveaway.rerollHistory.length - 1] : null;
+				this.emit('giveawayRerolled', giveaway, winners, record ? record.replacedIDs : []);
+				resolve(winners);
 			}).catch(reject);
 		});
 	}
 
+	/**
+	 * Marks the prize of a winner as claimed, for bots which use their own claim flow (a command, a button...)
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @param {Discord.Snowflake} userID The ID of the winner
+	 * @returns {Promise<boolean>} Whether the winner had a pending claim
+	 */
+	claim(messageID, userID) {
+		return new Promise(async (resolve, reject) => {
+			const giveaway = this.giveaways.find((g) => g.messageID === messageID);
+			if (!giveaway) {
+				return reject('No giveaway found with ID ' + messageID + '.');
+			}
+			giveaway.claim(userID).then(resolve).catch(reject);
+		});
+	}
+
+	/**
+	 * Exports the entrant snapshot of an ended giveaway and its winners
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @returns {Promise<GiveawaySnapshot>}
+	 *
+	 * @example
+	 * const snapshot = await manager.exportSnapshot("664900661003157510");
+	 * message.channel.send(new Discord.MessageAttachment(Buffer.from(JSON.stringify(snapshot, null, 2)), 'snapshot.json'));
+	 */
+	exportSnapshot(messageID) {
+		return new Promise(async (resolve, reject) => {
+			const giveaway = this.giveaways.find((g) => g.messageID === messageID);
+			if (!giveaway) {
+				return reject('No giveaway found with ID ' + messageID + '.');
+			}
+			const snapshot = giveaway.exportSnapshot();
+			if (!snapshot) {
+				return reject('Giveaway with message ID ' + messageID + ' has no entrant snapshot.');
+			}
+			resolve(snapshot);
+		});
+	}
+
 	/**
 	 * Edits a giveaway. The modifications will be applicated when the giveaway will be updated.
 	 * @param {Discord.Snowflake} messageID The message ID of the giveaway to edit
@@ -310,7 +956,57 @@ class GiveawaysManager extends EventEmitter {
 			if (!giveaway) {
 				return reject('No giveaway found with ID ' + messageID + '.');
 			}
-			giveaway.edit(options).then(resolve).catch(reject);
+			giveaway.edit(options).then(async (giveaway) => {
+				await this._updateUpcoming(giveaway);
+				resolve(giveaway);
+			}).catch(reject);
+		});
+	}
+
+	/**
+	 * Pauses a running giveaway, e.g. during a raid: its countdown stops, keeping its remaining time, and the embed shows the paused state.
+	 * The giveaway stays paused across restarts, until it is resumed.
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @returns {Promise<Giveaway>} The paused giveaway
+	 *
+	 * @example
+	 * manager.pause("664900661003157510");
+	 */
+	pause(messageID) {
+		return new Promise(async (resolve, reject) => {
+			const giveaway = this.giveaways.find((g) => g.messageID === messageID);
+			if (!giveaway) {
+				return reject('No giveaway found with ID ' + messageID + '.');
+			}
+			giveaway.pause().then(async (giveaway) => {
+				this.emit('giveawayPaused', giveaway);
+				await this._updateGiveaway(giveaway);
+				resolve(giveaway);
+			}).catch(reject);
+		});
+	}
+
+	/**
+	 * Resumes a paused giveaway. Its end date is shifted by the paused duration.
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @returns {Promise<Giveaway>} The resumed giveaway
+	 *
+	 * @example
+	 * manager.resume("664900661003157510");
+	 */
+	resume(messageID) {
+		return new Promise(async (resolve, reject) => {
+			const giveaway = this.giveaways.find((g) => g.messageID === messageID);
+			if (!giveaway) {
+				return reject('No giveaway found with ID ' + messageID + '.');
+			}
+			giveaway.resume().then(async (giveaway) => {
+				this.emit('giveawayResumed', giveaway);
+				// The reactions added to a drop while it was paused are handled now
+				if (giveaway.isdrop) this.scheduler.schedule(giveaway.messageID, 'reconcile', this.clock.now());
+				await this._updateGiveaway(giveaway);
+				resolve(giveaway);
+			}).catch(reject);
 		});
 	}
 
@@ -337,6 +1033,9 @@ class GiveawaysManager extends EventEmitter {
 				}
 			}
 			this.giveaways = this.giveaways.filter((g) => g.messageID !== messageID);
+			this.scheduler.cancel(messageID);
+			this.ledger.delete(messageID);
+			this._lateEntries.delete(messageID);
 			await this.deleteGiveaway(messageID);
 			resolve();
 		});
@@ -348,11 +1047,7 @@ class GiveawaysManager extends EventEmitter {
 	 * @returns {Promise<void>}
 	 */
 	async deleteGiveaway(messageID) {
-		await writeFileAsync(
-			this.options.storage,
-			JSON.stringify(this.giveaways.map((giveaway) => giveaway.data)),
-			'utf-8'
-		);
+		await this.storage.delete(messageID);
 		this.refreshStorage();
 		return;
 	}
@@ -366,41 +1061,12 @@ class GiveawaysManager extends EventEmitter {
 	}
 
 	/**
-	 * Gets the giveaways from the storage file, or create it
+	 * Gets the giveaways from the storage
 	 * @ignore
 	 * @returns {Promise<GiveawayData[]>}
 	 */
 	async getAllGiveaways() {
-		// Whether the storage file exists, or not
-		let storageExists = await existsAsync(this.options.storage);
-		// If it doesn't exists
-		if (!storageExists) {
-			// Create the file with an empty array
-			await writeFileAsync(this.options.storage, '[]', 'utf-8');
-			return [];
-		}
-		else {
-			// If the file exists, read it
-			let storageContent = await readFileAsync(this.options.storage);
-			try {
-				let giveaways = await JSON.parse(storageContent.toString());
-				if (Array.isArray(giveaways)) {
-					return giveaways;
-				}
-				else {
-					console.log(storageContent, giveaways);
-					throw new SyntaxError('The storage file is not properly formatted (giveaways is not an array).');
-				}
-			}
-			catch (e) {
-				if (e.message === 'Unexpected end of JSON input') {
-					throw new SyntaxError('The storage file is not properly formatted (Unexpected end of JSON input).');
-				}
-				else {
-					throw e;
-				}
-			}
-		}
+		return this.storage.getAll();
 	}
 
 	/**
@@ -410,11 +1076,7 @@ class GiveawaysManager extends EventEmitter {
 	 * @param {GiveawayData} giveawayData The giveaway data to save
 	 */
 	async editGiveaway(messageID, giveawayData) {
-		await writeFileAsync(
-			this.options.storage,
-			JSON.stringify(this.giveaways.map((giveaway) => giveaway.data)),
-			'utf-8'
-		);
+		await this.storage.edit(messageID, giveawayData);
 		this.refreshStorage();
 		return;
 	}
@@ -426,298 +1088,291 @@ class GiveawaysManager extends EventEmitter {
 	 * @param {GiveawayData} giveawayData The giveaway data to save
 	 */
 	async saveGiveaway(messageID, giveawayData) {
-		await writeFileAsync(
-			this.options.storage,
-			JSON.stringify(this.giveaways.map((giveaway) => giveaway.data)),
-			'utf-8'
-		);
+		await this.storage.save(messageID, giveawayData);
 		this.refreshStorage();
 		return;
 	}
 
 	/**
-	 * Checks each giveaway and update it if needed
+	 * Updates the embed of a giveaway
 	 * @ignore
 	 * @private
 	 */
 	async _updateGiveaway(giveaway) {
 		if (!giveaway) return;
-		if (giveaway.ended) return;
+		if (giveaway.ended || giveaway.scheduled) return;
 		if (!giveaway.channel) return;
-		if (giveaway.remainingTime <= 0) {
-			return this.end(giveaway.messageID).catch(() => {});
-		}
-		await giveaway.fetchMessage().catch(() => {});
+		if (giveaway.remainingTime <= 0) return;
+		if (!giveaway.message) await giveaway.fetchMessage().catch(() => {});
 		if (!giveaway.message) {
 			giveaway.ended = true;
 			await this.editGiveaway(giveaway.messageID, giveaway.data);
 			return;
 		}
-		let chance = await giveaway.winningChance();
-		let timerwebsite = `https://aestetikmod.mirzabhakti.repl.co/timer/?started=${giveaway.startAt}&ended=${giveaway.endAt}&prize=${encodePrize(giveaway.prize)}`
-		await this.updateServerRequirement(giveaway);
-		let bypassroleslist = '';
-		let cc = 0;
-		if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length > 1) {
-			giveaway.bypassrole.forEach(function(role) {
-				bypassroleslist += (c === 0 ? `📣 Users with <@&${role}> role can bypass.` : `\n📣 Users with <@&${role}> role can bypass.`)
-				cc++
-			})
-		}
-		else if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length === 1) {
-			bypassroleslist += `📣 Users with <@&${giveaway.bypassrole}> role can bypass.`
-		}
-		let roleslist = '';
-		let c = 0;
-		if (Array.isArray(giveaway.roleid) && giveaway.roleid.length > 1) {
-			giveaway.roleid.forEach(function(role) {
-				roleslist += (c === 0 ? `📣 Must have the <@&${role}> role.` : `\n📣 Must have the <@&${role}> role.`)
-				c++
-			})
-		}
-		else if (Array.isArray(giveaway.roleid) && giveaway.roleid.length === 1) {
-			roleslist += `📣 Must have the <@&${giveaway.roleid}> role.`
-		}
-		let embed = this.v12 ? new Discord.MessageEmbed() : new Discord.RichEmbed();
-		(this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? embed.setColor(this.options.default.lastChance.lastEmbedColor) : embed.setColor(giveaway.embedColor))
-		embed
-			.setDescription(
-				`🎁 • ${giveaway.prize}\n🏅 • ${giveaway.messages.winners}: ${giveaway.winnerCount}\n🎲 • Winning Chances: **${chance}**\n${giveaway.content}\nLive Timer: [Click Here!](${timerwebsite})\n${
-                        giveaway.hostedBy ? giveaway.messages.hostedBy.replace('{user}', giveaway.hostedBy) : ''
-                    }\n${giveaway.options.messages.inviteToParticipate} \n\n\n${bypassroleslist}${giveaway.serverreq ? `\n${giveaway.serverslist}` : ''}${giveaway.rolereq === true ? `\n${roleslist}` : ''}${giveaway.joinedreq === true ? `\n📣 Must have been in this server for atleast **${pms(giveaway.joinedtime, {verbose: true})}**.` : ''}${giveaway.agereq === true ? `\n📣 Your account age must be older than **${pms(giveaway.agetime, {verbose: true})}**.` : ''}${giveaway.messagereq === true ? `\n📣 You need to send **${giveaway.messageamount}** ${(giveaway.messageamount > 1) ? `messages` : `message`} to this server.` : ''}`
-			)
-			.setFooter('Ended At:')
-			.setTimestamp(giveaway.endAt)
-		roleslist = '';
-		c = 0;
-		bypassroleslist = '';
-		cc = 0;
-		giveaway.message.edit((this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? this.options.default.lastChance.title : giveaway.isdrop ? giveaway.messages.drop : giveaway.messages.giveaway), {
-			embed
-		});
-		if (giveaway.remainingTime < this.options.updateCountdownEvery) {
-			setTimeout(() => this.end.call(this, giveaway.messageID), giveaway.remainingTime);
-		}
+		let { content, embed } = await this.renderer.render(giveaway, this.renderer.runningState(giveaway));
+		await this.editQueue.push(giveaway.messageID, () => giveaway.message.edit(content, { embed })).catch(() => {});
 	}
+	/**
+	 * Resolves the invites of the server requirement of a giveaway and caches their guilds.
+	 * Invites which are already resolved are not fetched again.
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {Promise<void>}
+	 */
 	async updateServerRequirement(giveaway) {
 		if (!giveaway) return;
 		if (giveaway.ended) return;
+		if (!giveaway.serverreq) return;
+		const links = Array.isArray(giveaway.serverlink) ? giveaway.serverlink : [giveaway.serverlink].filter(Boolean);
+		const servers = [];
+		for (const link of links) {
+			let server = giveaway.requiredServers.find((s) => s.invite === link);
+			if (!server || !server.guildID) {
+				const invite = await this.client.fetchInvite(link).catch((error) => {
+					if (!server || server.error !== 'INVALID_INVITE') {
+						this.emit('serverRequirementError', giveaway, link, error);
+					}
+					server = { invite: link, code: null, guildID: null, name: null, error: 'INVALID_INVITE' };
+				});
+				if (invite) {
+					server = { invite: link, code: invite.code, guildID: invite.guild.id, name: invite.guild.name, error: null };
+				}
+			}
+			if (server.guildID) {
+				const shared = (this.v12 ? this.client.guilds.cache : this.client.guilds).has(server.guildID);
+				if (!shared && server.error !== 'GUILD_UNAVAILABLE') {
+					this.emit(
+						'serverRequirementError',
+						giveaway,
+						link,
+						new Error(`The bot is not in the server ${server.name} (${server.guildID}), membership can't be verified.`)
+					);
+				}
+				server.error = shared ? null : 'GUILD_UNAVAILABLE';
+			}
+			servers.push(server);
+		}
+		giveaway.requiredServers = servers;
+		giveaway.serverslist = servers
+			.map((server) => {
+				if (server.error === 'INVALID_INVITE') {
+					return `⚠️ The invite ${server.invite} is invalid or expired, this requirement can't be verified.`;
+				}
+				if (server.error === 'GUILD_UNAVAILABLE') {
+					return `⚠️ Should be in [${server.name}](https://discord.gg/${server.code}) (can't be verified).`;
+				}
+				return `⚠️ Should be in [${server.name}](https://discord.gg/${server.code}).`;
+			})
+			.join('\n');
+		await this.editGiveaway(giveaway.messageID, giveaway.data);
+	}
+
+	/**
+	 * Updates the final countdown of a giveaway, second by second
+	 * @ignore
+	 * @private
+	 */
+	async lastGiveaway(giveaway) {
+		if (!giveaway) return;
+		if (giveaway.ended || giveaway.pausedAt) return;
 		if (!giveaway.channel) return;
-		if (giveaway.remainingTime <= 0) {
-			return this.end(giveaway.messageID).catch(() => {});
+		if (giveaway.remainingTime <= 0) return;
+		if (!giveaway.threeSecondsRemaining) {
+			giveaway.threeSecondsRemaining = true;
+			giveaway.threeSecondsRemaining2 = true;
+			await this.editGiveaway(giveaway.messageID, giveaway.data);
 		}
-		await giveaway.fetchMessage().catch(() => {})
-		giveaway.serverslist = '';
-		let linec = 0;
-
-		function addserver(invite) {
-			let guildname = invite.guild.name;
-			giveaway.serverslist += (linec === 0 ? `⚠️ Should be in [${guildname}](https://discord.gg/${invite.code}).` : `\n⚠️ Should be in [${guildname}](https://discord.gg/${invite.code}).`)
-			linec++
-			return giveaway.serverslist && linec;
+		if (!giveaway.message) await giveaway.fetchMessage().catch(() => {});
+		if (!giveaway.message) return;
+		// The end date moved back (anti-snipe extension, edit) while the countdown was running
+		if (giveaway.remainingTime > FINAL_COUNTDOWN) return this.scheduleGiveaway(giveaway);
+		let threeSeconds = Math.ceil(giveaway.remainingTime / 1000);
+		if (threeSeconds > 1) {
+			this.scheduler.schedule(giveaway.messageID, 'countdown', giveaway.endAt - (threeSeconds - 1) * 1000);
 		}
 
-		function adderror(err) {
-			giveaway.serverslist += (linec === 0 ? `⚠️ Some of the server requirements doesn't work properly. Please make sure that the invite links are permanent.` : `\n⚠️ Some of the server requirements doesn't work properly. Please make sure that the invite links are permanent.`)
-			return giveaway.serverslist;
+		let { content, embed } = await this.renderer.render(giveaway, 'countdown', { seconds: threeSeconds });
+		// The render is skipped if the end date moved meanwhile, the normal embed is rendered instead
+		if (giveaway.remainingTime > FINAL_COUNTDOWN) return;
+		await this.editQueue.push(giveaway.messageID, () => giveaway.message.edit(content, { embed })).catch(() => {});
+	}
+
+	/**
+	 * Removes the winner roles of a giveaway whose duration is over
+	 * @ignore
+	 * @private
+	 */
+	async _checkWinnerRoles(giveaway) {
+		const expired = giveaway.roleGrants.filter((g) => g.removeAt <= this.clock.now());
+		if (expired.length === 0) return;
+		for (const grant of expired) {
+			await giveaway.removeWinnerRole([grant.userID], grant.roleIDs);
 		}
-		if (Array.isArray(giveaway.serverlink) && giveaway.serverlink.length > 1) {
-			giveaway.serverlink.forEach(function(invitelink) {
-				giveaway.message.client.fetchInvite(invitelink).then(function(invite) {
-					addserver(invite)
-				}).catch(function(err) {
-					adderror(err)
-				})
-			})
+		await this.editGiveaway(giveaway.messageID, giveaway.data);
+	}
+
+	/**
+	 * Schedules the next updates of a giveaway: its next render, the last chance, the final countdown and its end.
+	 * It must be called again when the end date of the giveaway changes.
+	 * @param {Giveaway} giveaway The giveaway
+	 */
+	scheduleGiveaway(giveaway) {
+		const messageID = giveaway.messageID;
+		['start', 'render', 'lastChance', 'countdown', 'end', 'roles', 'claims'].forEach((type) => this.scheduler.cancel(messageID, type));
+		if (giveaway.roleGrants.length > 0) {
+			this.scheduler.schedule(messageID, 'roles', Math.min(...giveaway.roleGrants.map((g) => g.removeAt)));
 		}
-		else if (Array.isArray(giveaway.serverlink) && giveaway.serverlink.length === 1) {
-			giveaway.message.client.fetchInvite(giveaway.serverlink).then(function(invite) {
-				addserver(invite)
-			}).catch(function(err) {
-				adderror(err)
-			})
+		const pendingClaims = giveaway.pendingClaims;
+		if (pendingClaims.length > 0) {
+			this.scheduler.schedule(messageID, 'claims', Math.min(...pendingClaims.map((c) => c.deadline)));
 		}
-		await this.editGiveaway(giveaway.messageID, giveaway.data)
-	}
-	_updateServerRequirement() {
-		if (this.giveaways.length <= 0) return;
-		this.giveaways.forEach(async (giveaway) => {
-			if (giveaway.ended) return;
-			if (!giveaway.channel) return;
-			await giveaway.fetchMessage().catch(() => {})
-			giveaway.serverslist = ''
-			let linec = 0;
-
-			function addserver(invite) {
-				let guildname = invite.guild.name;
-				giveaway.serverslist += (linec === 0 ? `⚠️ Should be in [${guildname}](https://discord.gg/${invite.code}).` : `\n⚠️ Should be in [${guildname}](https://discord.gg/${invite.code}).`)
-				linec++
-				return giveaway.serverslist && linec;
-			}
-
-			function adderror(err) {
-				giveaway.serverslist += (linec === 0 ? `⚠️ Some of the server requirements doesn't work properly. Please make sure that the invite links are permanent.` : `\n⚠️ Some of the server requirements doesn't work properly. Please make sure that the invite links are permanent.`)
-				return giveaway.serverslist;
-			}
-			if (Array.isArray(giveaway.serverlink) && giveaway.serverlink.length > 1) {
-				giveaway.serverlink.forEach(function(invitelink) {
-					giveaway.message.client.fetchInvite(invitelink).then(function(invite) {
-						addserver(invite)
-					}).catch(function(err) {
-						adderror(err)
-					})
-				})
-			}
-			else if (Array.isArray(giveaway.serverlink) && giveaway.serverlink.length === 1) {
-				giveaway.message.client.fetchInvite(giveaway.serverlink).then(function(invite) {
-					addserver(invite)
-				}).catch(function(err) {
-					adderror(err)
-				})
-			}
-			await this.editGiveaway(giveaway.messageID, giveaway.data)
-		})
-	}
-	async lastGiveaway() {
-		if (this.giveaways.length <= 0) return;
-		this.giveaways.forEach(async (giveaway) => {
-			if (!giveaway) return;
-			if (giveaway.ended) return;
-			if (!giveaway.channel) return;
-			if (giveaway.remainingTime <= 0) {
-				return this.end(giveaway.messageID).catch(() => {});
+		if (giveaway.ended) return;
+		if (giveaway.scheduled) {
+			// The occurrences of a paused series don't start
+			if (!giveaway.series || !giveaway.series.paused) this.scheduler.schedule(messageID, 'start', giveaway.startAt);
+			return;
+		}
+		// A paused giveaway has no timer until it is resumed
+		if (giveaway.pausedAt) return;
+		const now = this.clock.now();
+		const countdownAt = giveaway.endAt - FINAL_COUNTDOWN;
+		// The end date moved back, the final countdown has to start again
+		if (countdownAt > now) {
+			giveaway.threeSecondsRemaining = false;
+			giveaway.threeSecondsRemaining2 = false;
+		}
+		this.scheduler.schedule(messageID, 'end', giveaway.endAt);
+		this.scheduler.schedule(messageID, 'countdown', Math.max(countdownAt, now));
+		const lastChance = this.options.default.lastChance;
+		if (lastChance.enabled && giveaway.endAt - lastChance.secondsBeforeLastChance > now) {
+			this.scheduler.schedule(messageID, 'lastChance', giveaway.endAt - lastChance.secondsBeforeLastChance);
+		}
+		this._scheduleRender(giveaway);
+	}
+
+	/**
+	 * Schedules the next render of a giveaway, if it's before its final countdown
+	 * @ignore
+	 * @private
+	 */
+	_scheduleRender(giveaway) {
+		const at = this.clock.now() + this.options.updateCountdownEvery;
+		if (at < giveaway.endAt - FINAL_COUNTDOWN) {
+			this.scheduler.schedule(giveaway.messageID, 'render', at);
+		}
+	}
+
+	/**
+	 * Expires the claims whose deadline is over, and rerolls their winners
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The giveaway
+	 */
+	async _checkClaims(giveaway) {
+		const expired = giveaway.pendingClaims.filter((c) => c.deadline <= this.clock.now());
+		if (expired.length === 0) return this.scheduleGiveaway(giveaway);
+		// The winners may have reacted while the bot was offline
+		for (const claim of expired) {
+			if (await this._hasClaimReaction(giveaway, claim)) {
+				claim.status = 'claimed';
+				claim.claimedAt = claim.deadline;
+				this.emit('giveawayClaimed', giveaway, claim.userID);
 			}
-			await giveaway.fetchMessage().catch(() => {});
-			if (giveaway.remainingTime < 4000) giveaway.threeSecondsRemaining = true
-			if (!giveaway.message) return;
-			if (giveaway.threeSecondsRemaining && !giveaway.threeSecondsRemaining2) {
-				giveaway.threeSecondsRemaining2 = true;
-				await this.editGiveaway(giveaway.messageID, giveaway.data)
-				let threeSeconds = 3;
-
-				async function embed() {
-					let chance = await giveaway.winningChance();
-					let timerwebsite = `https://aestetikmod.mirzabhakti.repl.co/timer/?started=${giveaway.startAt}&ended=${giveaway.endAt}&prize=${encodePrize(giveaway.prize)}`
-					let bypassroleslist = '';
-					let cc = 0;
-					if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length > 1) {
-						giveaway.bypassrole.forEach(function(role) {
-							bypassroleslist += (c === 0 ? `📣 Users with <@&${role}> role can bypass.` : `\n📣 Users with <@&${role}> role can bypass.`)
-							cc++
-						})
-					}
-					else if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length === 1) {
-						bypassroleslist += `📣 Users with <@&${giveaway.bypassrole}> role can bypass.`
-					}
-					let roleslist = '';
-					let c = 0;
-					if (Array.isArray(giveaway.roleid) && giveaway.roleid.length > 1) {
-						giveaway.roleid.forEach(function(role) {
-							roleslist += (c === 0 ? `📣 Must have the <@&${role}> role.` : `\n📣 Must have the <@&${role}> role.`)
-							c++
-						})
-					}
-					else if (Array.isArray(giveaway.roleid) && giveaway.roleid.length === 1) {
-						roleslist += `📣 Must have the <@&${giveaway.roleid}> role.`
-					}
-					let embed = new Discord.MessageEmbed();
-					embed
-						.setColor('RED')
-						.setDescription(
-							`🎁 • ${giveaway.prize}\n🏅 • ${giveaway.messages.winners}: ${giveaway.winnerCount}\n🎲 • Winning Chances: **${chance}**\n**Time remaining: ${threeSeconds} ${(threeSeconds > 1) ? 'seconds' : 'second'}**!\nLive Timer: [Click Here!](${timerwebsite})\n${
-                        giveaway.hostedBy ? giveaway.messages.hostedBy.replace('{user}', giveaway.hostedBy) : ''
-                    }\n${giveaway.options.messages.inviteToParticipate} \n\n\n${bypassroleslist}${giveaway.serverreq ? `\n${giveaway.serverslist}` : ''}${giveaway.rolereq === true ? `\n${roleslist}` : ''}${giveaway.joinedreq === true ? `\n📣 Must have been in this server for atleast **${pms(giveaway.joinedtime, {verbose: true})}**.` : ''}${giveaway.agereq === true ? `\n📣 Your account age must be older than **${pms(giveaway.agetime, {verbose: true})}**.` : ''}${giveaway.messagereq === true ? `\n📣 You need to send **${giveaway.messageamount}** ${(giveaway.messageamount > 1) ? `messages` : `message`} to this server.` : ''}`
-						)
-						.setFooter('Ended At:')
-						.setTimestamp(giveaway.endAt)
-					roleslist = '';
-					c = 0;
-					bypassroleslist = '';
-					cc = 0;
-					return embed;
-				}
-				if (!giveaway.ended) giveaway.message.edit((this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? this.options.default.lastChance.title : giveaway.isdrop ? giveaway.messages.drop : giveaway.messages.giveaway), await embed());
-				await wait(1000)
-				if (!giveaway.ended) {
-					threeSeconds -= 1
-					giveaway.message.edit((this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? this.options.default.lastChance.title : giveaway.isdrop ? giveaway.messages.drop : giveaway.messages.giveaway), await embed());
-				}
-				await wait(1000)
-				if (!giveaway.ended) {
-					threeSeconds -= 1
-					giveaway.message.edit((this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? this.options.default.lastChance.title : giveaway.isdrop ? giveaway.messages.drop : giveaway.messages.giveaway), await embed());
-				}
-				await wait(1000)
-				if (!giveaway.ended) {
-					threeSeconds -= 1
-					giveaway.message.edit((this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? this.options.default.lastChance.title : giveaway.isdrop ? giveaway.messages.drop : giveaway.messages.giveaway), await embed());
-					this.end.call(this, giveaway.messageID)
-					//await this.editGiveaway(giveaway.messageID, giveaway.data)
-				}
+			else {
+				claim.status = 'expired';
 			}
-		})
+		}
+		const expiredIDs = expired.filter((c) => c.status === 'expired').map((c) => c.userID);
+		await this.editGiveaway(giveaway.messageID, giveaway.data);
+		this.scheduleGiveaway(giveaway);
+		if (expiredIDs.length === 0) return;
+		this.emit('giveawayClaimExpired', giveaway, expiredIDs);
+		const replace = expiredIDs.filter((id) => giveaway.winnerIDs.includes(id));
+		if (replace.length === 0) return;
+		const winners = await this.reroll(giveaway.messageID, {
+			replace,
+			reason: 'Claim window expired',
+			messages: this.options.claimRerollMessages
+		}).catch(() => null);
+		if (winners) this.emit('giveawayAutoRerolled', giveaway, winners, replace);
 	}
-	_checkGiveaway() {
-		if (this.giveaways.length <= 0) return;
-		this.giveaways.forEach(async (giveaway) => {
-			if (giveaway.ended) return;
-			if (giveaway.threeSecondsRemaining) return;
-			if (!giveaway.channel) return;
-			if (giveaway.remainingTime <= 0) {
-				return this.end(giveaway.messageID).catch(() => {});
-				if (giveaway.remainingTime < 5000) return;
+
+	/**
+	 * Whether a winner reacted to the message of their claim
+	 * @ignore
+	 * @private
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {WinnerClaim} claim The claim
+	 * @returns {Promise<boolean>}
+	 */
+	async _hasClaimReaction(giveaway, claim) {
+		if (!claim.messageID || !giveaway.channel) return false;
+		const message = await (this.v12
+			? giveaway.channel.messages.fetch(claim.messageID)
+			: giveaway.channel.fetchMessage(claim.messageID)
+		).catch(() => null);
+		if (!message) return false;
+		const reactions = this.v12 ? message.reactions.cache : message.reactions;
+		const reaction = reactions.find((r) => r.emoji.name === giveaway.claimReaction || r.emoji.id === giveaway.claimReaction);
+		if (!reaction) return false;
+		const users = await (this.v12 ? reaction.users.fetch() : reaction.fetchUsers()).catch(() => null);
+		return Boolean(users && users.has(claim.userID));
+	}
+
+	/**
+	 * Runs a task of the scheduler
+	 * @ignore
+	 * @private
+	 * @param {SchedulerTask} task The task
+	 */
+	async _runTask(task) {
+		const giveaway = this.giveaways.find((g) => g.messageID === task.giveawayID);
+		if (!giveaway) return;
+		if (!this.client.readyAt) {
+			this.scheduler.schedule(task.giveawayID, task.type, this.clock.now() + 1000);
+			return;
+		}
+		if (task.type === 'roles') {
+			await this._checkWinnerRoles(giveaway);
+			if (giveaway.roleGrants.length > 0) {
+				this.scheduler.schedule(giveaway.messageID, 'roles', Math.min(...giveaway.roleGrants.map((g) => g.removeAt)));
 			}
-			await giveaway.fetchMessage().catch(() => {});
-			if (!giveaway.message) {
-				giveaway.ended = true;
-				await this.editGiveaway(giveaway.messageID, giveaway.data);
+			return;
+		}
+		if (task.type === 'claims') return this._checkClaims(giveaway);
+		if (giveaway.ended) return;
+		if (giveaway.scheduled) {
+			if (giveaway.series && giveaway.series.paused) return;
+			// The start date was moved after the task was scheduled
+			if (task.type !== 'start' || giveaway.startAt > this.clock.now()) return this.scheduleGiveaway(giveaway);
+			return this._startScheduled(giveaway);
+		}
+		if (giveaway.pausedAt && task.type !== 'reconcile') return;
+		switch (task.type) {
+			case 'end':
+				// The end date was moved after the task was scheduled
+				if (giveaway.remainingTime > 0) return this.scheduleGiveaway(giveaway);
+				return this.end(giveaway.messageID).catch(() => {});
+			case 'countdown':
+				return this.lastGiveaway(giveaway);
+			case 'servers':
+				await this.updateServerRequirement(giveaway);
+				this.scheduler.schedule(giveaway.messageID, 'servers', this.clock.now() + SERVER_REQUIREMENT_INTERVAL);
 				return;
-			}
-			let chance = await giveaway.winningChance();
-			let timerwebsite = `https://aestetikmod.mirzabhakti.repl.co/timer/?started=${giveaway.startAt}&ended=${giveaway.endAt}&prize=${encodePrize(giveaway.prize)}`
-			let bypassroleslist = '';
-			let cc = 0;
-			if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length > 1) {
-				giveaway.bypassrole.forEach(function(role) {
-					bypassroleslist += (c === 0 ? `📣 Users with <@&${role}> role can bypass.` : `\n📣 Users with <@&${role}> role can bypass.`)
-					cc++
-				})
-			}
-			else if (Array.isArray(giveaway.bypassrole) && giveaway.bypassrole.length === 1) {
-				bypassroleslist += `📣 Users with <@&${giveaway.bypassrole}> role can bypass.`
-			}
-			let roleslist = '';
-			let c = 0;
-			if (Array.isArray(giveaway.roleid) && giveaway.roleid.length > 1) {
-				giveaway.roleid.forEach(function(role) {
-					roleslist += (c === 0 ? `📣 Must have the <@&${role}> role.` : `\n📣 Must have the <@&${role}> role.`)
-					c++
-				})
-			}
-			else if (Array.isArray(giveaway.roleid) && giveaway.roleid.length === 1) {
-				roleslist += `📣 Must have the <@&${giveaway.roleid}> role.`
-			}
-			let embed = this.v12 ? new Discord.MessageEmbed() : new Discord.RichEmbed();
-			(this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? embed.setColor(this.options.default.lastChance.lastEmbedColor) : embed.setColor(giveaway.embedColor))
-			embed
-				.setDescription(
-					`🎁 • ${giveaway.prize}\n🏅 • ${giveaway.messages.winners}: ${giveaway.winnerCount}\n🎲 • Winning Chances: **${chance}**\n${giveaway.content}\nLive Timer: [Click Here!](${timerwebsite})\n${
-                        giveaway.hostedBy ? giveaway.messages.hostedBy.replace('{user}', giveaway.hostedBy) : ''
-                    }\n${giveaway.options.messages.inviteToParticipate} \n\n\n${bypassroleslist}${giveaway.serverreq ? `\n${giveaway.serverslist}` : ''}${giveaway.rolereq === true ? `\n${roleslist}` : ''}${giveaway.joinedreq === true ? `\n📣 Must have been in this server for atleast **${pms(giveaway.joinedtime, {verbose: true})}**.` : ''}${giveaway.agereq === true ? `\n📣 Your account age must be older than **${pms(giveaway.agetime, {verbose: true})}**.` : ''}${giveaway.messagereq === true ? `\n📣 You need to send **${giveaway.messageamount}** ${(giveaway.messageamount > 1) ? `messages` : `message`} to this server.` : ''}`
-				)
-				.setFooter('Ended At:')
-				.setTimestamp(giveaway.endAt)
-			roleslist = '';
-			c = 0;
-			bypassroleslist = '';
-			cc = 0;
-			giveaway.message.edit((this.options.default.lastChance.enabled && giveaway.remainingTime < this.options.default.lastChance.secondsBeforeLastChance ? this.options.default.lastChance.title : giveaway.isdrop ? giveaway.messages.drop : giveaway.messages.giveaway), {
-				embed
-			});
-			/* if (giveaway.remainingTime < this.options.updateCountdownEvery) {
-			     setTimeout(() => this.end.call(this, giveaway.messageID), giveaway.remainingTime);
-			 }*/
-		});
+			case 'render':
+				this._scheduleRender(giveaway);
+				return this._updateGiveaway(giveaway);
+			case 'lastChance':
+				return this._updateGiveaway(giveaway);
+			case 'reconcile':
+				await this.ledger.reconcile(giveaway);
+				// The reactions added to a drop while the bot was offline are handled now, in an unknown order
+				if (giveaway.isdrop) {
+					this.ledger.get(giveaway.messageID)
+						.filter((userID) => !giveaway.dropWinners.some((w) => w.userID === userID))
+						.forEach((userID) => this._queueDropEntry(giveaway, { d: { user_id: userID, emoji: { name: giveaway.reaction } } }));
+				}
+				return;
+		}
 	}
 
 	/**
@@ -726,26 +1381,38 @@ class GiveawaysManager extends EventEmitter {
 	 * @private
 	 */
 	async _init() {
+		if (this.storage) await this.storage.init();
 		const rawGiveaways = await this.getAllGiveaways();
 		rawGiveaways.forEach((giveaway) => {
 			this.giveaways.push(new Giveaway(this, giveaway));
 		});
-		setInterval(() => {
-			if (this.client.readyAt) this.lastGiveaway();
-		}, 1000)
-		setInterval(() => {
-			if (this.client.readyAt) this._checkGiveaway.call(this);
-		}, this.options.updateCountdownEvery);
-		setInterval(() => {
-			if (this.client.readyAt) this._updateServerRequirement.call(this);
-		}, 500000)
-		setTimeout(() => {
-			if (this.client.readyAt) this._updateServerRequirement.call(this)
-		}, 10000)
+		this.giveaways.forEach((giveaway) => {
+			this.scheduleGiveaway(giveaway);
+			if (giveaway.ended || giveaway.scheduled) return;
+			if (giveaway.serverreq) {
+				this.scheduler.schedule(giveaway.messageID, 'servers', this.clock.now() + 10000);
+			}
+			this.scheduler.schedule(giveaway.messageID, 'reconcile', this.clock.now());
+		});
 		this.ready = true;
+		if (this.timerServer) {
+			this.timerServer.start().catch((error) => console.error(`The live timer server could not be started: ${error.message}`));
+		}
 	}
 }
 
+/**
+ * Emitted when the manager can't start, e.g. when its storage can't be read.
+ * As for any EventEmitter, the error is thrown if there is no listener.
+ * @event GiveawaysManager#error
+ * @param {Error} error The error
+ *
+ * @example
+ * manager.on('error', (error) => {
+ *      console.error('The giveaways could not be loaded:', error);
+ * });
+ */
+
 /**
  * Emitted when a giveaway ends.
  * @event GiveawaysManager#giveawayEnded
@@ -779,6 +1446,60 @@ class GiveawaysManager extends EventEmitter {
  * });
  */
 
+/**
+ * Emitted when the entry of a member who doesn't meet the requirements is removed (only if entryCheck is enabled).
+ * @event GiveawaysManager#giveawayEntryDenied
+ * @param {Giveaway} giveaway The giveaway instance
+ * @param {Discord.GuildMember} member The member whose entry was removed
+ * @param {Array<{requirement: string, reason: string}>} reasons The requirements the member failed
+ *
+ * @example
+ * manager.on('giveawayEntryDenied', (giveaway, member, reasons) => {
+ *      console.log(`${member.user.tag} can't enter the giveaway: ${reasons.map((r) => r.requirement).join(', ')}`);
+ * });
+ */
+
+/**
+ * Emitted when a server of the server requirement can't be verified (invalid or expired invite, or the bot is not in the server).
+ * These servers are skipped when the entrants are checked.
+ * @event GiveawaysManager#serverRequirementError
+ * @param {Giveaway} giveaway The giveaway instance
+ * @param {string} invite The invite of the server
+ * @param {Error} error The error
+ *
+ * @example
+ * manager.on('serverRequirementError', (giveaway, invite, error) => {
+ *      giveaway.channel.send(`The server requirement ${invite} can't be verified: ${error.message}`);
+ * });
+ */
+
+/**
+ * Emitted when a winner role can't be given to or removed from a member (missing permissions, role hierarchy, deleted role...).
+ * @event GiveawaysManager#winnerRoleFailed
+ * @param {Giveaway} giveaway The giveaway instance
+ * @param {Discord.GuildMember} member The member
+ * @param {Discord.Snowflake} roleID The ID of the role
+ * @param {Error} error The error
+ *
+ * @example
+ * manager.on('winnerRoleFailed', (giveaway, member, roleID, error) => {
+ *      giveaway.channel.send(`Unable to update the role <@&${roleID}> of ${member}: ${error.message}`);
+ * });
+ */
+
+/**
+ * Emitted when the giveawayMessageWinner message was sent to the winners.
+ * @event GiveawaysManager#winnerMessageReport
+ * @param {Giveaway} giveaway The giveaway instance
+ * @param {WinnerMessageReport[]} reports The delivery report of each winner
+ *
+ * @example
+ * manager.on('winnerMessageReport', (giveaway, reports) => {
+ *      const failed = reports.filter((r) => !r.delivered);
+ *      if (failed.length > 0) console.log(`Unable to reach ${failed.map((r) => r.member.user.tag).join(', ')}`);
+ * });
+ */
+
 /**
  * Emitted when someone remove their reaction to a giveaway.
  * @event GiveawaysManager#giveawayReactionRemoved
@@ -796,19 +1517,131 @@ class GiveawaysManager extends EventEmitter {
  * Emitted when a giveaway is rerolled.
  * @event GiveawaysManager#giveawayRerolled
  * @param {Giveaway} giveaway The giveaway instance
- * @param {Discord.GuildMember[]} winners The winners of the giveaway
+ * @param {Discord.GuildMember[]} winners The new winners of the giveaway
+ * @param {Discord.Snowflake[]} replaced The IDs of the winners who lost their place
  * 
  * @example
  * // This can be used to add features such as a congratulatory message in DM
- * manager.on('giveawayRerolled', (giveaway, winners) => {
+ * manager.on('giveawayRerolled', (giveaway, winners, replaced) => {
  *      winners.forEach((member) => {
  *          member.send('Congratulations, '+member.user.username+', you won: '+giveaway.prize);
  *      });
  * });
  */
 
-module.exports = GiveawaysManager;
+/**
+ * Emitted when a scheduled giveaway starts.
+ * @event GiveawaysManager#giveawayStarted
+ * @param {Giveaway} giveaway The giveaway
+ * @param {Discord.Snowflake} scheduledID The ID of the giveaway while it was scheduled.
+ * It differs from `giveaway.messageID` when the giveaway was scheduled without upcoming embed (or when the upcoming embed was deleted).
+ *
+ * @example
+ * manager.on('giveawayStarted', (giveaway, scheduledID) => {
+ *      console.log(`The giveaway of ${giveaway.prize} has started!`);
+ *      if (scheduledID !== giveaway.messageID) console.log(`Its ID changed from ${scheduledID} to ${giveaway.messageID}.`);
+ * });
+ */
+
+/**
+ * Emitted when a giveaway is paused.
+ * @event GiveawaysManager#giveawayPaused
+ * @param {Giveaway} giveaway The giveaway
+ *
+ * @example
+ * manager.on('giveawayPaused', (giveaway) => {
+ *      console.log(`The giveaway of ${giveaway.prize} is paused, ${giveaway.remainingTime}ms remaining.`);
+ * });
+ */
+
+/**
+ * Emitted when a paused giveaway is resumed.
+ * @event GiveawaysManager#giveawayResumed
+ * @param {Giveaway} giveaway The giveaway
+ *
+ * @example
+ * manager.on('giveawayResumed', (giveaway) => {
+ *      console.log(`The giveaway of ${giveaway.prize} now ends at ${new Date(giveaway.endAt)}.`);
+ * });
+ */
 
-function encodePrize(prize) {
-	return encodeURIComponent(prize)
-}
\ No newline at end of file
+/**
+ * Emitted when a giveaway is extended automatically: by the anti-snipe rule, because enough members entered in its final period,
+ * or because it didn't have enough participants when it ended.
+ * @event GiveawaysManager#giveawayExtended
+ * @param {Giveaway} giveaway The giveaway
+ * @param {number} addedTime The time added to the giveaway (in ms)
+ * @param {number} extensions The number of extensions of the giveaway for this reason so far
+ * @param {string} reason 'antiSnipe' or 'minParticipants'
+ *
+ * @example
+ * manager.on('giveawayExtended', (giveaway, addedTime, extensions, reason) => {
+ *      console.log(`The giveaway of ${giveaway.prize} was extended (${reason}), it now ends at ${new Date(giveaway.endAt)}.`);
+ * });
+ */
+
+/**
+ * Emitted when a giveaway is cancelled: it ended without enough participants and no winner was drawn, or it was a scheduled giveaway cancelled with cancelScheduled().
+ * @event GiveawaysManager#giveawayCancelled
+ * @param {Giveaway} giveaway The cancelled giveaway
+ * @param {string} reason 'minParticipants' or 'scheduled'
+ *
+ * @example
+ * manager.on('giveawayCancelled', (giveaway, reason) => {
+ *      if (reason === 'minParticipants') console.log(`Not enough participants for ${giveaway.prize}, the giveaway was cancelled.`);
+ * });
+ */
+
+/**
+ * Emitted when a recurring series ends: its end condition is reached, or its channel doesn't exist anymore.
+ * @event GiveawaysManager#giveawaySeriesEnded
+ * @param {GiveawaySeries} series The series
+ * @param {Giveaway} giveaway The last occurrence
+ *
+ * @example
+ * manager.on('giveawaySeriesEnded', (series, giveaway) => {
+ *      giveaway.channel.send(`That was the last of the ${series.occurrence} giveaways of the series!`);
+ * });
+ */
+
+/**
+ * Emitted when a member wins a drop by being one of the first to react.
+ * @event GiveawaysManager#giveawayDropWon
+ * @param {Giveaway} giveaway The drop
+ * @param {Discord.GuildMember} member The winner
+ * @param {number} position The position of the winner (1 for the first one)
+ *
+ * @example
+ * manager.on('giveawayDropWon', (giveaway, member, position) => {
+ *      giveaway.channel.send(`${member} is the winner #${position} of **${giveaway.prize}**!`);
+ * });
+ */
+
+/**
+ * Emitted when a winner claims their prize (only if the giveaway has a claimWithin duration).
+ * @event GiveawaysManager#giveawayClaimed
+ * @param {Giveaway} giveaway The giveaway instance
+ * @param {Discord.Snowflake} userID The ID of the winner
+ *
+ * @example
+ * manager.on('giveawayClaimed', (giveaway, userID) => {
+ *      giveaway.channel.send(`<@${userID}> claimed **${giveaway.prize}**!`);
+ * });
+ */
+
+/**
+ * Emitted when winners didn't claim their prize before the deadline. They are then rerolled.
+ * @event GiveawaysManager#giveawayClaimExpired
+ * @param {Giveaway} giveaway The giveaway instance
+ * @param {Discord.Snowflake[]} userIDs The IDs of the winners who didn't claim
+ */
+
+/**
+ * Emitted when winners who didn't claim their prize are replaced.
+ * @event GiveawaysManager#giveawayAutoRerolled
+ * @param {Giveaway} giveaway The giveaway instance
+ * @param {Discord.GuildMember[]} winners The new winners
+ * @param {Discord.Snowflake[]} replaced The IDs of the replaced winners
+ */
+
+module.exports = GiveawaysManager;
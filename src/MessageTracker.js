@@ -0,0 +1,97 @@
+const Discord = require('discord.js');
+
+/**
+ * Counts the messages sent by the members in the guilds of the running giveaways, for the message requirement
+ */
+class MessageTracker {
+	/**
+	 * @param {GiveawaysManager} manager The giveaways manager
+	 */
+	constructor(manager) {
+		/**
+		 * The giveaways manager
+		 * @type {GiveawaysManager}
+		 */
+		this.manager = manager;
+		/**
+		 * The giveaways whose counts changed since the last save
+		 * @type {Set<Giveaway>}
+		 */
+		this.pending = new Set();
+		/**
+		 * The timeout of the next save
+		 * @type {?NodeJS.Timeout}
+		 * @private
+		 */
+		this._saveTimeout = null;
+	}
+
+	/**
+	 * The message tracking options
+	 * @type {Object}
+	 * @readonly
+	 */
+	get options() {
+		return this.manager.options.messageTracking;
+	}
+
+	/**
+	 * Whether the message content matches one of the ignored patterns
+	 * @param {string} content The content of the message
+	 * @returns {boolean}
+	 */
+	isIgnored(content) {
+		return (this.options.ignorePatterns || []).some((pattern) =>
+			// Without the g and y flags, test() doesn't depend on the lastIndex of the previous message
+			(pattern instanceof RegExp ? new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')) : new RegExp(pattern)).test(content)
+		);
+	}
+
+	/**
+	 * Counts a message for every running giveaway of its guild which has a message requirement
+	 * @param {Discord.Message} message The message sent
+	 */
+	handleMessage(message) {
+		if (!message.guild || !message.author || message.author.bot) return;
+		if (this.isIgnored(message.content)) return;
+		const giveaways = this.manager.giveaways.filter(
+			(g) =>
+				!g.ended &&
+				g.messagereq === true &&
+				g.guildID === message.guild.id &&
+				message.createdTimestamp >= g.startAt
+		);
+		for (const giveaway of giveaways) {
+			giveaway.messageCounts[message.author.id] = this.getCount(giveaway, message.author.id) + 1;
+			this.pending.add(giveaway);
+		}
+		if (this.pending.size > 0 && !this._saveTimeout) {
+			this._saveTimeout = setTimeout(() => this.save().catch((error) => console.error(error)), this.options.saveEvery);
+		}
+	}
+
+	/**
+	 * Gets the number of messages a member sent since the start of the giveaway
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {Discord.Snowflake} userID The ID of the member
+	 * @returns {number}
+	 */
+	getCount(giveaway, userID) {
+		return giveaway.messageCounts[userID] || 0;
+	}
+
+	/**
+	 * Saves the counts which changed since the last save
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		this._saveTimeout = null;
+		const giveaways = Array.from(this.pending);
+		this.pending.clear();
+		for (const giveaway of giveaways) {
+			await this.manager.editGiveaway(giveaway.messageID, giveaway.data);
+		}
+	}
+}
+
+module.exports = MessageTracker;
@@ -0,0 +1,80 @@
+const Discord = require('discord.js');
+
+/**
+ * The maximum number of users returned by Discord for one reaction users request
+ * @type {number}
+ * @ignore
+ */
+const PAGE_SIZE = 100;
+
+/**
+ * Fetches every user who reacted to a giveaway, page by page.
+ * Discord returns at most 100 users per request, so the next pages are requested with the ID of the last user as the "after" cursor.
+ */
+class ParticipantCollector {
+	/**
+	 * @param {Giveaway} giveaway The giveaway whose participants are collected
+	 */
+	constructor(giveaway) {
+		/**
+		 * The giveaway whose participants are collected
+		 * @type {Giveaway}
+		 */
+		this.giveaway = giveaway;
+	}
+
+	/**
+	 * The participants options of the manager
+	 * @type {Object}
+	 * @readonly
+	 */
+	get options() {
+		return this.giveaway.manager.options.participants;
+	}
+
+	/**
+	 * Fetches one page of users
+	 * @param {Discord.MessageReaction} reaction The reaction of the giveaway
+	 * @param {?Discord.Snowflake} after The ID of the last user of the previous page
+	 * @returns {Promise<Discord.Collection<Discord.Snowflake, Discord.User>>}
+	 */
+	fetchPage(reaction, after) {
+		const options = after ? { after } : {};
+		return this.giveaway.manager.v12
+			? reaction.users.fetch(Object.assign({ limit: PAGE_SIZE }, options))
+			: reaction.fetchUsers(PAGE_SIZE, options);
+	}
+
+	/**
+	 * Fetches the users who reacted, up to the maxUsers option
+	 * @param {Discord.MessageReaction} reaction The reaction of the giveaway
+	 * @returns {Promise<Discord.Collection<Discord.Snowflake, Discord.User>>}
+	 */
+	async collect(reaction) {
+		const { maxUsers, logProgress, progressEvery } = this.options;
+		const users = new Discord.Collection();
+		let after = null;
+		let nextLog = progressEvery;
+		for (;;) {
+			const page = await this.fetchPage(reaction, after);
+			for (const user of page.values()) {
+				if (maxUsers > 0 && users.size >= maxUsers) break;
+				users.set(user.id, user);
+			}
+			if (logProgress && users.size >= nextLog) {
+				console.log(`Giveaway ${this.giveaway.messageID}: ${users.size} participants fetched...`);
+				while (nextLog <= users.size) nextLog += progressEvery;
+			}
+			if (page.size < PAGE_SIZE) break;
+			if (maxUsers > 0 && users.size >= maxUsers) {
+				if (logProgress) console.log(`Giveaway ${this.giveaway.messageID}: stopped at ${maxUsers} participants (maxUsers).`);
+				break;
+			}
+			// The users are sorted by ID, the last one is the cursor of the next page
+			after = page.lastKey();
+		}
+		return users;
+	}
+}
+
+module.exports = ParticipantCollector;
@@ -0,0 +1,121 @@
+/**
+ * Keeps the IDs of the eligible entrants of each running giveaway, updated with the reaction events.
+ * It is reconciled with a full fetch of the entrants when the manager starts, so the live entrant count doesn't need any API call.
+ * The participants of a giveaway are forgotten once it is ended.
+ */
+class ParticipantLedger {
+	/**
+	 * @param {GiveawaysManager} manager The giveaways manager
+	 */
+	constructor(manager) {
+		/**
+		 * The giveaways manager
+		 * @type {GiveawaysManager}
+		 */
+		this.manager = manager;
+		/**
+		 * The IDs of the participants, by giveaway message ID
+		 * @type {Map<Discord.Snowflake, Set<Discord.Snowflake>>}
+		 * @private
+		 */
+		this._participants = new Map();
+	}
+
+	/**
+	 * Whether the participants of the giveaway are known
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @returns {boolean}
+	 */
+	has(giveawayID) {
+		return this._participants.has(giveawayID);
+	}
+
+	/**
+	 * Gets the IDs of the participants of a giveaway
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @returns {Discord.Snowflake[]}
+	 */
+	get(giveawayID) {
+		return Array.from(this._participants.get(giveawayID) || []);
+	}
+
+	/**
+	 * Gets the number of participants of a giveaway
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @returns {number}
+	 */
+	count(giveawayID) {
+		const participants = this._participants.get(giveawayID);
+		return participants ? participants.size : 0;
+	}
+
+	/**
+	 * Replaces the participants of a giveaway, after a full fetch
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @param {Iterable<Discord.Snowflake>} userIDs The IDs of the participants
+	 */
+	set(giveawayID, userIDs) {
+		this._participants.set(giveawayID, new Set(userIDs));
+	}
+
+	/**
+	 * Adds a participant to a giveaway. Ignored until the participants of the giveaway are known.
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @param {Discord.Snowflake} userID The ID of the participant
+	 */
+	add(giveawayID, userID) {
+		const participants = this._participants.get(giveawayID);
+		if (participants) participants.add(userID);
+	}
+
+	/**
+	 * Removes a participant from a giveaway
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @param {Discord.Snowflake} userID The ID of the participant
+	 */
+	remove(giveawayID, userID) {
+		const participants = this._participants.get(giveawayID);
+		if (participants) participants.delete(userID);
+	}
+
+	/**
+	 * Forgets the participants of a giveaway
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 */
+	delete(giveawayID) {
+		this._participants.delete(giveawayID);
+	}
+
+	/**
+	 * Fetches every entrant of a giveaway to rebuild its participants
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {Promise<void>}
+	 */
+	async reconcile(giveaway) {
+		if (!giveaway.message) await giveaway.fetchMessage().catch(() => {});
+		if (!giveaway.message) return;
+		// fetchEntrants() replaces the participants with the entrants it found
+		await giveaway.fetchEntrants();
+	}
+
+	/**
+	 * Keeps the IDs of the members who can win the giveaway: the bot itself, the exempted members and the members who don't meet the requirements are excluded
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {Iterable<Discord.GuildMember>} members The members who reacted
+	 * @param {Map<Discord.Snowflake, RequirementResult>} [results] The requirement checks already done, by member ID
+	 * @returns {Promise<Discord.Snowflake[]>}
+	 */
+	async filter(giveaway, members, results) {
+		const clientID = this.manager.client.user.id;
+		const ids = [];
+		for (const member of members) {
+			if (member.id === clientID || (await giveaway.isExempted(member))) continue;
+			const result = (results && results.get(member.id)) || (await giveaway.checkRequirements(member));
+			if (!result.eligible) continue;
+			ids.push(member.id);
+		}
+		return ids;
+	}
+}
+
+module.exports = ParticipantLedger;
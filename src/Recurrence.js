@@ -0,0 +1,131 @@
+/**
+ * The fields of a cron expression, with their bounds
+ * @type {Array<{name: string, min: number, max: number}>}
+ * @ignore
+ */
+const FIELDS = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'dayOfMonth', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12 },
+	{ name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * How far the next date of a cron expression is searched (in ms), so an expression which never matches (e.g. "0 0 31 2 *") doesn't loop forever
+ * @type {number}
+ * @ignore
+ */
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parses one field of a cron expression: "*", "5", "1-5", "*\/15", "0-30/10" or a list of them separated by commas
+ * @param {string} value The field
+ * @param {{name: string, min: number, max: number}} field The bounds of the field
+ * @returns {Set<number>} The matching values
+ * @ignore
+ */
+function parseField(value, field) {
+	const values = new Set();
+	for (const part of value.split(',')) {
+		const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+		if (!match) throw new TypeError(`Invalid ${field.name} in the cron expression: "${value}".`);
+		const start = match[1] === '*' ? field.min : Number(match[2]);
+		const end = match[1] === '*' ? field.max : match[3] !== undefined ? Number(match[3]) : match[4] ? field.max : start;
+		const step = match[4] ? Number(match[4]) : 1;
+		if (start < field.min || end > field.max || start > end || step < 1) {
+			throw new TypeError(`Invalid ${field.name} in the cron expression: "${value}".`);
+		}
+		for (let i = start; i <= end; i += step) values.add(i);
+	}
+	return values;
+}
+
+/**
+ * Parses a cron expression with 5 fields: minute, hour, day of month, month and day of week (0 or 7 for Sunday)
+ * @param {string} expression The cron expression, e.g. "0 18 * * 1" for every Monday at 18:00
+ * @returns {Object} The matching values of each field
+ */
+function parseCron(expression) {
+	const parts = String(expression).trim().split(/\s+/);
+	if (parts.length !== FIELDS.length) {
+		throw new TypeError(`The cron expression must have ${FIELDS.length} fields. (val=${expression})`);
+	}
+	const cron = {};
+	FIELDS.forEach((field, i) => (cron[field.name] = parseField(parts[i], field)));
+	if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0);
+	// As in cron, when both days are restricted, a date matches if either of them matches
+	cron.anyDayOfMonth = parts[2] === '*';
+	cron.anyDayOfWeek = parts[4] === '*';
+	return cron;
+}
+
+/**
+ * Whether the day of a date matches a parsed cron expression
+ * @param {Object} cron The parsed cron expression
+ * @param {Date} date The date
+ * @returns {boolean}
+ * @ignore
+ */
+function dayMatches(cron, date) {
+	const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+	const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+	if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+	return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Gets the next date matching a cron expression, in UTC
+ * @param {string} expression The cron expression
+ * @param {number} [after=Date.now()] The date after which the next date is searched
+ * @returns {?number} The next date, or null if the expression never matches
+ *
+ * @example
+ * // The next Monday at 18:00 UTC
+ * nextCronDate('0 18 * * 1');
+ */
+function nextCronDate(expression, after = Date.now()) {
+	const cron = parseCron(expression);
+	const date = new Date(after);
+	date.setUTCSeconds(0, 0);
+	date.setUTCMinutes(date.getUTCMinutes() + 1);
+	const limit = after + SEARCH_LIMIT;
+	// Skip the whole months, days and hours which don't match
+	while (date.getTime() <= limit) {
+		if (!cron.month.has(date.getUTCMonth() + 1)) {
+			date.setUTCMonth(date.getUTCMonth() + 1, 1);
+			date.setUTCHours(0, 0);
+		}
+		else if (!dayMatches(cron, date)) {
+			date.setUTCDate(date.getUTCDate() + 1);
+			date.setUTCHours(0, 0);
+		}
+		else if (!cron.hour.has(date.getUTCHours())) {
+			date.setUTCHours(date.getUTCHours() + 1, 0);
+		}
+		else if (!cron.minute.has(date.getUTCMinutes())) {
+			date.setUTCMinutes(date.getUTCMinutes() + 1);
+		}
+		else {
+			return date.getTime();
+		}
+	}
+	return null;
+}
+
+/**
+ * Gets the start date of the next occurrence of a series
+ * @param {GiveawaySeries} series The series
+ * @param {number} after The date after which the occurrence starts: the start of the previous occurrence for an interval, now for a cron expression
+ * @returns {?number} The start date, or null if the cron expression never matches
+ */
+function nextOccurrence(series, after) {
+	if (series.cron) return nextCronDate(series.cron, after);
+	return after + series.interval;
+}
+
+module.exports = {
+	parseCron,
+	nextCronDate,
+	nextOccurrence
+};
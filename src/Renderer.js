@@ -0,0 +1,325 @@
+const Discord = require('discord.js');
+const merge = require('deepmerge');
+const pms = require('pretty-ms');
+const { defaultGiveawayMessages, GiveawayMessages } = require('./Constants.js');
+
+/**
+ * The rendered giveaway message
+ * @typedef RenderedGiveaway
+ *
+ * @property {string} content The content of the message, above the embed
+ * @property {Discord.MessageEmbed} embed The embed of the message
+ */
+
+/**
+ * Builds the giveaway messages (upcoming, running, paused, last chance, final countdown, ended, no winner and cancelled) from the templates of the giveaway messages.
+ * The bots can replace it with their own function with the render option of the manager.
+ */
+class GiveawayRenderer {
+	/**
+	 * @param {GiveawaysManager} manager The giveaways manager
+	 */
+	constructor(manager) {
+		/**
+		 * The giveaways manager
+		 * @type {GiveawaysManager}
+		 */
+		this.manager = manager;
+	}
+
+	/**
+	 * Gets the messages of a giveaway, completed with the default ones
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {GiveawayMessages}
+	 */
+	messages(giveaway) {
+		return merge(defaultGiveawayMessages, giveaway.messages || {});
+	}
+
+	/**
+	 * Replaces the {placeholders} of a template
+	 * @param {string} template The template
+	 * @param {Object<string, *>} placeholders The values of the placeholders
+	 * @returns {string}
+	 */
+	format(template, placeholders) {
+		return (template || '').replace(/{(\w+)}/g, (match, key) =>
+			Object.prototype.hasOwnProperty.call(placeholders, key) ? String(placeholders[key]) : match
+		);
+	}
+
+	/**
+	 * Replaces the {placeholders} of a multiline template, and removes the lines left empty by empty placeholders
+	 * @param {string} template The template
+	 * @param {Object<string, *>} placeholders The values of the placeholders
+	 * @returns {string}
+	 */
+	formatLines(template, placeholders) {
+		return (template || '')
+			.split('\n')
+			.filter((line) => !/{(\w+)}/.test(line) || this.format(line, placeholders).trim() !== '')
+			.map((line) => this.format(line, placeholders))
+			.join('\n')
+			.trim();
+	}
+
+	/**
+	 * Gets the URL of the live timer of a giveaway, or null if the liveTimer.baseURL option is not set
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {?string}
+	 */
+	timerURL(giveaway) {
+		const baseURL = this.manager.options.liveTimer.baseURL;
+		if (!baseURL || !giveaway.messageID) return null;
+		return `${baseURL.replace(/\/+$/, '')}/giveaways/${giveaway.messageID}`;
+	}
+
+	/**
+	 * Lists the requirements of a giveaway, one per line
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {string}
+	 */
+	requirements(giveaway) {
+		const templates = this.messages(giveaway).requirements;
+		const toArray = (roles) => (Array.isArray(roles) ? roles : [roles]).filter(Boolean);
+		const lines = [];
+		toArray(giveaway.bypassrole).forEach((roleID) => lines.push(this.format(templates.bypass, { role: `<@&${roleID}>` })));
+		if (giveaway.serverreq === true && giveaway.serverslist) lines.push(giveaway.serverslist);
+		if (giveaway.rolereq === true) {
+			toArray(giveaway.roleid).forEach((roleID) => lines.push(this.format(templates.role, { role: `<@&${roleID}>` })));
+		}
+		if (giveaway.joinedreq === true) {
+			lines.push(this.format(templates.joined, { duration: pms(giveaway.joinedtime, { verbose: true }) }));
+		}
+		if (giveaway.agereq === true) {
+			lines.push(this.format(templates.age, { duration: pms(giveaway.agetime, { verbose: true }) }));
+		}
+		// The message requirement is only checked when the messages are tracked
+		if (giveaway.messagereq === true && this.manager.options.messageTracking.enabled) {
+			lines.push(this.format(giveaway.messageamount > 1 ? templates.messages : templates.message, { amount: giveaway.messageamount }));
+		}
+		return lines.join('\n');
+	}
+
+	/**
+	 * Lists the bonus roles of a giveaway with their entry multipliers, the highest first
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {string}
+	 */
+	bonusEntries(giveaway) {
+		const template = this.messages(giveaway).bonusEntry;
+		return Object.keys(giveaway.bonusEntries)
+			.sort((a, b) => giveaway.bonusEntries[b] - giveaway.bonusEntries[a])
+			.map((roleID) => this.format(template, { role: `<@&${roleID}>`, multiplier: giveaway.bonusEntries[roleID] }))
+			.join('\n');
+	}
+
+	/**
+	 * Gets the values of the placeholders of the templates
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {string} state The state of the giveaway
+	 * @param {Object} [extra] Values computed by the caller (entries, winners, seconds)
+	 * @returns {Promise<Object<string, *>>}
+	 */
+	async placeholders(giveaway, state, extra = {}) {
+		const messages = this.messages(giveaway);
+		const ledger = this.manager.ledger;
+		const entries = typeof extra.entries === 'number'
+			? extra.entries
+			: ledger.has(giveaway.messageID) ? ledger.count(giveaway.messageID) : await giveaway.ValidEntry();
+		const url = this.timerURL(giveaway);
+		const winners = extra.winners || [];
+		return {
+			prize: giveaway.prize,
+			winnerCount: giveaway.winnerCount,
+			winnersLabel: messages.winners,
+			winnersTitle: messages.winners.charAt(0).toUpperCase() + messages.winners.slice(1),
+			entries,
+			chance: await giveaway.winningChance(entries),
+			timeRemaining: state === 'countdown'
+				? this.format(messages.countdown, { seconds: extra.seconds, unit: extra.seconds > 1 ? messages.units.seconds : messages.units.seconds.replace(/s$/, '') })
+				: state === 'paused'
+					? this.format(messages.paused, { timeRemaining: giveaway.content })
+					: giveaway.content,
+			extended: giveaway.extensions > 0 && !giveaway.ended
+				? this.format(messages.extended, {
+					duration: pms(giveaway.extensions * giveaway.antiSnipe.extendBy, { verbose: true }),
+					extensions: giveaway.extensions,
+					maxExtensions: giveaway.antiSnipe.maxExtensions
+				})
+				: '',
+			minParticipants: giveaway.minParticipants > 0 && !giveaway.ended
+				? this.format(messages.minParticipants, { count: giveaway.minParticipants })
+				: '',
+			notEnoughParticipants: this.format(messages.notEnoughParticipants, { entries, count: giveaway.minParticipants }),
+			liveTimer: url ? this.format(messages.liveTimer, { url }) : '',
+			hostedBy: giveaway.hostedBy ? this.format(messages.hostedBy, { user: giveaway.hostedBy }) : '',
+			host: giveaway.hostedBy || '',
+			inviteToParticipate: messages.inviteToParticipate,
+			requirements: this.requirements(giveaway),
+			bonusEntries: this.bonusEntries(giveaway),
+			winners: giveaway.tiers.length > 0 && winners.length > 0
+				? '\n' + this.tierList(giveaway, messages.tierWinners)
+				: winners.map((w) => `<@${w.id}>`).join(', '),
+			tiers: giveaway.tiers.length > 0 ? this.tierList(giveaway, messages.tier) : '',
+			noWinner: messages.noWinner,
+			startDate: new Date(giveaway.startAt).toUTCString(),
+			duration: pms(giveaway.giveawayDuration, { verbose: true }),
+			fairDraw: !giveaway.fairDraw
+				? ''
+				: state === 'ended' || state === 'noWinner'
+					? this.format(messages.fairDrawReveal, { seed: giveaway.seed, hash: giveaway.seedHash })
+					: this.format(messages.fairDrawCommit, { hash: giveaway.seedHash }),
+			dropSlots: giveaway.isdrop && !giveaway.ended
+				? this.format(messages.dropSlots, { slots: Math.max(giveaway.winnerCount - giveaway.dropWinners.length, 0), winnerCount: giveaway.winnerCount })
+				: '',
+			dropOrder: giveaway.isdrop ? this.dropOrder(giveaway) : ''
+		};
+	}
+
+	/**
+	 * Lists the prize tiers of a giveaway, one per line
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {string} template The template of a line
+	 * @returns {string}
+	 */
+	tierList(giveaway, template) {
+		const messages = this.messages(giveaway);
+		return giveaway.tiers
+			.map((tier, i) =>
+				this.format(template, {
+					rank: i + 1,
+					prize: tier.prize,
+					winnerCount: tier.winnerCount,
+					winnersLabel: messages.winners,
+					winners: tier.winnerIDs.map((id) => `<@${id}>`).join(', ') || messages.noWinner
+				})
+			)
+			.join('\n');
+	}
+
+	/**
+	 * Lists the winners of a drop in the order they reacted, with the time of their reaction and the delay since the start
+	 * @param {Giveaway} giveaway The drop
+	 * @returns {string}
+	 */
+	dropOrder(giveaway) {
+		const template = this.messages(giveaway).dropWinner;
+		return giveaway.dropWinners
+			.map((entry, i) =>
+				this.format(template, {
+					position: i + 1,
+					winner: `<@${entry.userID}>`,
+					time: new Date(entry.at).toISOString().slice(11, 23) + ' UTC',
+					delay: pms(Math.max(entry.at - giveaway.startAt, 0))
+				})
+			)
+			// The winners who left the server are not announced
+			.filter((line, i) => !giveaway.ended || giveaway.winnerIDs.includes(giveaway.dropWinners[i].userID))
+			.join('\n');
+	}
+
+	/**
+	 * Renders the message of a giveaway
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {string} state The state of the giveaway: 'upcoming', 'running', 'paused', 'lastChance', 'countdown', 'ended', 'noWinner' or 'cancelled'
+	 * @param {Object} [extra] Values computed by the caller
+	 * @param {number} [extra.entries] The number of valid entries. If not set, the participant ledger is used.
+	 * @param {Discord.GuildMember[]} [extra.winners] The winners, for the ended state
+	 * @param {number} [extra.seconds] The remaining seconds, for the countdown state
+	 * @returns {Promise<RenderedGiveaway>}
+	 */
+	async render(giveaway, state, extra = {}) {
+		const placeholders = await this.placeholders(giveaway, state, extra);
+		if (typeof this.manager.options.render === 'function') {
+			const rendered = await this.manager.options.render(giveaway, state, {
+				placeholders,
+				format: (template) => this.format(template, placeholders),
+				defaultRender: () => this.renderDefault(giveaway, state, placeholders)
+			});
+			if (rendered) return rendered;
+		}
+		return this.renderDefault(giveaway, state, placeholders);
+	}
+
+	/**
+	 * Renders the message of a giveaway with the templates of its messages
+	 * @param {Giveaway} giveaway The giveaway
+	 * @param {string} state The state of the giveaway
+	 * @param {Object<string, *>} placeholders The values of the placeholders
+	 * @returns {RenderedGiveaway}
+	 */
+	renderDefault(giveaway, state, placeholders) {
+		const messages = this.messages(giveaway);
+		const lastChance = this.manager.options.default.lastChance;
+		const ended = state === 'ended' || state === 'noWinner';
+		const embed = this.manager.v12 ? new Discord.MessageEmbed() : new Discord.RichEmbed();
+		if (state === 'upcoming') {
+			embed
+				.setDescription(this.formatLines(messages.embed.upcoming, placeholders))
+				.setFooter(messages.startsAt)
+				.setTimestamp(giveaway.startAt)
+				.setColor(giveaway.embedColor);
+			return { content: messages.upcoming, embed };
+		}
+		if (state === 'cancelled') {
+			embed
+				.setDescription(this.formatLines(messages.embed.cancelled, placeholders))
+				.setFooter(messages.endedAt)
+				.setTimestamp(giveaway.endAt)
+				.setColor(giveaway.embedColorEnd);
+			return { content: messages.giveawayCancelled, embed };
+		}
+		if (state === 'paused') {
+			embed
+				.setDescription(this.formatLines(messages.embed.running, placeholders))
+				.setFooter(messages.pausedAt)
+				.setTimestamp(giveaway.pausedAt)
+				.setColor(giveaway.embedColorPaused);
+			return { content: messages.giveawayPaused, embed };
+		}
+		embed
+			.setDescription(this.formatLines(
+				state === 'ended' && giveaway.isdrop ? messages.embed.dropEnded : ended ? messages.embed[state] : messages.embed.running,
+				placeholders
+			))
+			.setFooter(ended ? messages.endedAt : messages.endsAt)
+			.setTimestamp(giveaway.endAt);
+		let content;
+		if (ended) {
+			embed.setColor(giveaway.embedColorEnd);
+			content = giveaway.isdrop ? messages.dropEnded : messages.giveawayEnded;
+		}
+		else {
+			embed.setColor(state === 'countdown' ? giveaway.embedColorCountdown : state === 'lastChance' ? lastChance.lastEmbedColor : giveaway.embedColor);
+			content = state === 'lastChance' || (state === 'countdown' && this.isLastChance(giveaway))
+				? lastChance.title
+				: giveaway.isdrop ? messages.drop : messages.giveaway;
+		}
+		return { content, embed };
+	}
+
+	/**
+	 * Gets the state of a running giveaway
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {string}
+	 */
+	runningState(giveaway) {
+		if (giveaway.pausedAt) return 'paused';
+		if (giveaway.threeSecondsRemaining) return 'countdown';
+		if (this.isLastChance(giveaway)) return 'lastChance';
+		return 'running';
+	}
+
+	/**
+	 * Whether the giveaway is in its last chance period
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {boolean}
+	 */
+	isLastChance(giveaway) {
+		const lastChance = this.manager.options.default.lastChance;
+		return lastChance.enabled && giveaway.remainingTime < lastChance.secondsBeforeLastChance;
+	}
+}
+
+module.exports = GiveawayRenderer;
@@ -0,0 +1,175 @@
+const Discord = require('discord.js');
+const pms = require('pretty-ms');
+const { RequirementResult } = require('./Constants.js');
+
+/**
+ * Whether the member has the role
+ * @param {Discord.GuildMember} member The member to check
+ * @param {Discord.Snowflake} roleID The ID of the role
+ * @param {boolean} v12 Whether the Discord.js library version is the v12 one
+ * @returns {boolean}
+ * @ignore
+ */
+function hasRole(member, roleID, v12) {
+	return (v12 ? member.roles.cache : member.roles).has(roleID);
+}
+
+/**
+ * Converts a role option (a single ID or an array of IDs) to an array
+ * @param {Discord.Snowflake|Discord.Snowflake[]} roles The role option
+ * @returns {Discord.Snowflake[]}
+ * @ignore
+ */
+function toArray(roles) {
+	if (!roles) return [];
+	return Array.isArray(roles) ? roles : [roles];
+}
+
+/**
+ * Evaluates the entry requirements of a giveaway against its entrants
+ */
+class RequirementsChecker {
+	/**
+	 * @param {Giveaway} giveaway The giveaway whose requirements are checked
+	 */
+	constructor(giveaway) {
+		/**
+		 * The giveaway whose requirements are checked
+		 * @type {Giveaway}
+		 */
+		this.giveaway = giveaway;
+	}
+
+	/**
+	 * The requirements enabled on the giveaway
+	 * @type {Object[]}
+	 * @readonly
+	 */
+	get enabled() {
+		return RequirementsChecker.requirements.filter(r => r.enabled(this.giveaway));
+	}
+
+	/**
+	 * Whether the member has one of the roles allowing to bypass the requirements
+	 * @param {Discord.GuildMember} member The member to check
+	 * @returns {boolean}
+	 */
+	hasBypass(member) {
+		return toArray(this.giveaway.bypassrole).some(roleID =>
+			hasRole(member, roleID, this.giveaway.manager.v12)
+		);
+	}
+
+	/**
+	 * Checks a member against every requirement of the giveaway
+	 * @param {Discord.GuildMember} member The member to check
+	 * @returns {Promise<RequirementResult>}
+	 */
+	async check(member) {
+		const result = {
+			member,
+			eligible: true,
+			bypassed: false,
+			failed: []
+		};
+		const requirements = this.enabled;
+		if (requirements.length === 0) return result;
+		if (this.hasBypass(member)) {
+			result.bypassed = true;
+			return result;
+		}
+		for (const requirement of requirements) {
+			try {
+				const reason = await requirement.check(this.giveaway, member);
+				if (reason) result.failed.push({ requirement: requirement.name, reason });
+			} catch (error) {
+				// The error is returned with the failure, so the caller can report it
+				result.failed.push({ requirement: requirement.name, reason: 'This requirement could not be checked.', error });
+			}
+		}
+		result.eligible = result.failed.length === 0;
+		return result;
+	}
+
+	/**
+	 * Checks several members against every requirement of the giveaway
+	 * @param {Discord.Collection<Discord.Snowflake, Discord.GuildMember>} members The members to check
+	 * @returns {Promise<Discord.Collection<Discord.Snowflake, RequirementResult>>}
+	 */
+	async checkAll(members) {
+		const results = new Discord.Collection();
+		for (const member of members.values()) {
+			results.set(member.id, await this.check(member));
+		}
+		return results;
+	}
+}
+
+/**
+ * The requirements which can be enabled on a giveaway.
+ * Each of them returns the reason of the failure, or null if the member passes.
+ * @type {Object[]}
+ */
+RequirementsChecker.requirements = [
+	{
+		name: 'role',
+		enabled: giveaway => giveaway.rolereq === true && toArray(giveaway.roleid).length > 0,
+		check: (giveaway, member) => {
+			const missing = toArray(giveaway.roleid).filter(
+				roleID => !hasRole(member, roleID, giveaway.manager.v12)
+			);
+			if (missing.length === 0) return null;
+			return `Missing the ${missing.map(roleID => `<@&${roleID}>`).join(', ')} role${missing.length > 1 ? 's' : ''}.`;
+		}
+	},
+	{
+		name: 'joined',
+		enabled: giveaway => giveaway.joinedreq === true && giveaway.joinedtime > 0,
+		check: (giveaway, member) => {
+			if (member.joinedTimestamp && Date.now() - member.joinedTimestamp >= giveaway.joinedtime) return null;
+			return `Must have been in the server for at least ${pms(giveaway.joinedtime, { verbose: true })}.`;
+		}
+	},
+	{
+		name: 'age',
+		enabled: giveaway => giveaway.agereq === true && giveaway.agetime > 0,
+		check: (giveaway, member) => {
+			if (Date.now() - member.user.createdTimestamp >= giveaway.agetime) return null;
+			return `Account must be older than ${pms(giveaway.agetime, { verbose: true })}.`;
+		}
+	},
+	{
+		name: 'message',
+		enabled: giveaway =>
+			giveaway.messagereq === true &&
+			giveaway.messageamount > 0 &&
+			giveaway.manager.options.messageTracking.enabled,
+		check: (giveaway, member) => {
+			const count = giveaway.manager.messageTracker.getCount(giveaway, member.id);
+			if (count >= giveaway.messageamount) return null;
+			return `Must send ${giveaway.messageamount} message${giveaway.messageamount > 1 ? 's' : ''} in the server (${count} sent).`;
+		}
+	},
+	{
+		name: 'server',
+		enabled: giveaway =>
+			giveaway.serverreq === true && giveaway.requiredServers.some(s => s.guildID && !s.error),
+		check: async (giveaway, member) => {
+			const v12 = giveaway.manager.v12;
+			const guilds = v12 ? giveaway.client.guilds.cache : giveaway.client.guilds;
+			const missing = [];
+			for (const server of giveaway.requiredServers.filter(s => s.guildID && !s.error)) {
+				const guild = guilds.get(server.guildID);
+				if (!guild) continue;
+				const isMember =
+					(v12 ? guild.members.cache : guild.members).has(member.id) ||
+					(await (v12 ? guild.members.fetch(member.id) : guild.fetchMember(member.id)).catch(() => {}));
+				if (!isMember) missing.push(server.name);
+			}
+			if (missing.length === 0) return null;
+			return `Must be in the ${missing.join(', ')} server${missing.length > 1 ? 's' : ''}.`;
+		}
+	}
+];
+
+module.exports = RequirementsChecker;
@@ -0,0 +1,240 @@
+/**
+ * The clock used by the scheduler. Replace it with a fake one to test the scheduling.
+ * @typedef SchedulerClock
+ *
+ * @property {Function} now Returns the current timestamp
+ * @property {Function} setTimeout Schedules a callback, like the global setTimeout
+ * @property {Function} clearTimeout Cancels a scheduled callback, like the global clearTimeout
+ */
+
+/**
+ * A task of the scheduler
+ * @typedef SchedulerTask
+ *
+ * @property {Discord.Snowflake} giveawayID The message ID of the giveaway
+ * @property {string} type The type of the task ('start', 'render', 'lastChance', 'countdown', 'end', 'servers', 'roles', 'reconcile' or 'claims')
+ * @property {number} at The timestamp at which the task runs
+ */
+
+/**
+ * The maximum delay accepted by setTimeout
+ * @type {number}
+ * @ignore
+ */
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * The default clock, based on Date.now and the global timers
+ * @type {SchedulerClock}
+ * @ignore
+ */
+const defaultClock = {
+	now: () => Date.now(),
+	setTimeout: (fn, ms) => setTimeout(fn, ms),
+	clearTimeout: (timeout) => clearTimeout(timeout)
+};
+
+/**
+ * Runs the deadlines of the giveaways (next render, last chance, final countdown, end...) with a single timer.
+ * The tasks are kept in a priority queue ordered by their date, and there is at most one task per giveaway and type.
+ */
+class Scheduler {
+	/**
+	 * @param {Function} handler The function called with each task when it is due
+	 * @param {Object} [options]
+	 * @param {SchedulerClock} [options.clock] The clock, for testing
+	 */
+	constructor(handler, options = {}) {
+		/**
+		 * The function called with each task when it is due
+		 * @type {Function}
+		 */
+		this.handler = handler;
+		/**
+		 * The clock used to schedule the tasks
+		 * @type {SchedulerClock}
+		 */
+		this.clock = options.clock || defaultClock;
+		/**
+		 * The priority queue of the tasks, the next task first
+		 * @type {SchedulerTask[]}
+		 * @private
+		 */
+		this._heap = [];
+		/**
+		 * The scheduled tasks, by giveaway ID and type
+		 * @type {Map<string, SchedulerTask>}
+		 * @private
+		 */
+		this._tasks = new Map();
+		/**
+		 * The timer of the next task
+		 * @private
+		 */
+		this._timeout = null;
+		/**
+		 * The date at which the timer fires
+		 * @type {?number}
+		 * @private
+		 */
+		this._timeoutAt = null;
+	}
+
+	/**
+	 * The number of scheduled tasks
+	 * @type {number}
+	 * @readonly
+	 */
+	get size() {
+		return this._tasks.size;
+	}
+
+	/**
+	 * Schedules a task. It replaces the task of the same type already scheduled for the giveaway.
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @param {string} type The type of the task
+	 * @param {number} at The timestamp at which the task runs
+	 * @returns {SchedulerTask}
+	 */
+	schedule(giveawayID, type, at) {
+		this.cancel(giveawayID, type);
+		const task = { giveawayID, type, at };
+		this._tasks.set(`${giveawayID}:${type}`, task);
+		this._push(task);
+		this._arm();
+		return task;
+	}
+
+	/**
+	 * Cancels the tasks of a giveaway
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @param {string} [type] The type of the task to cancel. If not set, every task of the giveaway is cancelled.
+	 */
+	cancel(giveawayID, type) {
+		for (const [key, task] of this._tasks) {
+			if (task.giveawayID !== giveawayID || (type && task.type !== type)) continue;
+			task.cancelled = true;
+			this._tasks.delete(key);
+		}
+	}
+
+	/**
+	 * Gets the task of a giveaway
+	 * @param {Discord.Snowflake} giveawayID The message ID of the giveaway
+	 * @param {string} type The type of the task
+	 * @returns {?SchedulerTask}
+	 */
+	get(giveawayID, type) {
+		return this._tasks.get(`${giveawayID}:${type}`) || null;
+	}
+
+	/**
+	 * Lists the scheduled tasks, the next one first
+	 * @param {Discord.Snowflake} [giveawayID] Only list the tasks of this giveaway
+	 * @returns {SchedulerTask[]}
+	 */
+	inspect(giveawayID) {
+		return Array.from(this._tasks.values())
+			.filter((task) => !giveawayID || task.giveawayID === giveawayID)
+			.sort((a, b) => a.at - b.at)
+			.map(({ giveawayID, type, at }) => ({ giveawayID, type, at }));
+	}
+
+	/**
+	 * Runs the tasks which are due. Called by the timer, or manually with a fake clock.
+	 * @returns {Promise<void>}
+	 */
+	async tick() {
+		this._timeout = null;
+		this._timeoutAt = null;
+		const now = this.clock.now();
+		const due = [];
+		while (this._heap.length > 0 && this._heap[0].at <= now) {
+			const task = this._pop();
+			if (task.cancelled) continue;
+			this._tasks.delete(`${task.giveawayID}:${task.type}`);
+			due.push(task);
+		}
+		this._arm();
+		for (const task of due) {
+			try {
+				await this.handler(task);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+	}
+
+	/**
+	 * Stops the timer and removes every task
+	 */
+	clear() {
+		if (this._timeout) this.clock.clearTimeout(this._timeout);
+		this._timeout = null;
+		this._timeoutAt = null;
+		this._heap = [];
+		this._tasks.clear();
+	}
+
+	/**
+	 * Sets the timer for the next task
+	 * @private
+	 */
+	_arm() {
+		while (this._heap.length > 0 && this._heap[0].cancelled) this._pop();
+		if (this._heap.length === 0) return;
+		const at = this._heap[0].at;
+		if (this._timeout && this._timeoutAt <= at) return;
+		if (this._timeout) this.clock.clearTimeout(this._timeout);
+		const delay = Math.min(Math.max(at - this.clock.now(), 0), MAX_TIMEOUT);
+		this._timeoutAt = this.clock.now() + delay;
+		this._timeout = this.clock.setTimeout(() => this.tick(), delay);
+	}
+
+	/**
+	 * Adds a task to the priority queue
+	 * @param {SchedulerTask} task The task
+	 * @private
+	 */
+	_push(task) {
+		const heap = this._heap;
+		heap.push(task);
+		let i = heap.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (heap[parent].at <= heap[i].at) break;
+			[heap[parent], heap[i]] = [heap[i], heap[parent]];
+			i = parent;
+		}
+	}
+
+	/**
+	 * Removes the next task from the priority queue
+	 * @returns {SchedulerTask}
+	 * @private
+	 */
+	_pop() {
+		const heap = this._heap;
+		const top = heap[0];
+		const last = heap.pop();
+		if (heap.length > 0) {
+			heap[0] = last;
+			let i = 0;
+			for (;;) {
+				const left = 2 * i + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (left < heap.length && heap[left].at < heap[smallest].at) smallest = left;
+				if (right < heap.length && heap[right].at < heap[smallest].at) smallest = right;
+				if (smallest === i) break;
+				[heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+				i = smallest;
+			}
+		}
+		return top;
+	}
+}
+
+Scheduler.defaultClock = defaultClock;
+
+module.exports = Scheduler;
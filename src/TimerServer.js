@@ -0,0 +1,223 @@
+const http = require('http');
+
+/**
+ * Escapes a string to be inserted in a HTML page
+ * @param {string} value The string to escape
+ * @returns {string}
+ * @ignore
+ */
+function escapeHTML(value) {
+	return String(value).replace(/[&<>"']/g, (char) => ({
+		'&': '&amp;',
+		'<': '&lt;',
+		'>': '&gt;',
+		'"': '&quot;',
+		"'": '&#39;'
+	})[char]);
+}
+
+/**
+ * The status of a giveaway, served by the live timer server
+ * @typedef GiveawayStatus
+ *
+ * @property {Discord.Snowflake} messageID The message ID of the giveaway
+ * @property {string} prize The prize of the giveaway
+ * @property {number} startAt The start date of the giveaway
+ * @property {number} endAt The end date of the giveaway
+ * @property {boolean} ended Whether the giveaway is ended
+ * @property {boolean} cancelled Whether the giveaway was cancelled for lack of participants
+ * @property {boolean} paused Whether the giveaway is paused
+ * @property {number} remainingTime The remaining time of the giveaway (frozen while it is paused)
+ * @property {number} winnerCount The number of winners
+ * @property {number} entrants The number of valid entrants
+ * @property {Array<{id: Discord.Snowflake, tag: ?string}>} winners The winners, once the giveaway is ended
+ */
+
+/**
+ * Serves a live countdown page and a JSON status endpoint for each giveaway:
+ * GET /giveaways/:messageID and GET /giveaways/:messageID/status
+ */
+class TimerServer {
+	/**
+	 * @param {GiveawaysManager} manager The giveaways manager
+	 * @param {Object} [options]
+	 * @param {number} [options.port=8080] The port to listen on
+	 * @param {string} [options.host] The host to listen on
+	 */
+	constructor(manager, options = {}) {
+		/**
+		 * The giveaways manager
+		 * @type {GiveawaysManager}
+		 */
+		this.manager = manager;
+		/**
+		 * The port to listen on
+		 * @type {number}
+		 */
+		this.port = typeof options.port === 'number' ? options.port : 8080;
+		/**
+		 * The host to listen on
+		 * @type {?string}
+		 */
+		this.host = options.host || null;
+		/**
+		 * The HTTP server, once started
+		 * @type {?http.Server}
+		 */
+		this.server = null;
+	}
+
+	/**
+	 * Starts listening
+	 * @returns {Promise<void>}
+	 */
+	start() {
+		if (this.server) return Promise.resolve();
+		this.server = http.createServer((req, res) => {
+			this.handle(req, res).catch((error) => {
+				console.error(error);
+				this._send(res, 500, 'application/json', JSON.stringify({ error: 'Internal server error' }));
+			});
+		});
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(this.port, this.host || undefined, () => {
+				this.server.removeListener('error', reject);
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Stops listening
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		if (!this.server) return Promise.resolve();
+		const server = this.server;
+		this.server = null;
+		return new Promise((resolve) => server.close(() => resolve()));
+	}
+
+	/**
+	 * Handles a request
+	 * @param {http.IncomingMessage} req The request
+	 * @param {http.ServerResponse} res The response
+	 * @returns {Promise<void>}
+	 */
+	async handle(req, res) {
+		const match = (req.url || '').split('?')[0].match(/^\/giveaways\/(\d+)(\/status)?\/?$/);
+		if (req.method !== 'GET' || !match) {
+			return this._send(res, 404, 'application/json', JSON.stringify({ error: 'Not found' }));
+		}
+		// The URLs shared while the giveaway was scheduled keep working once it is posted
+		const giveaway = this.manager.giveaways.find((g) => g.messageID === match[1] || g.scheduledID === match[1]);
+		if (!giveaway) {
+			return this._send(res, 404, 'application/json', JSON.stringify({ error: 'Unknown giveaway' }));
+		}
+		if (match[2]) {
+			return this._send(res, 200, 'application/json', JSON.stringify(await this.status(giveaway)));
+		}
+		this._send(res, 200, 'text/html; charset=utf-8', this.page(giveaway));
+	}
+
+	/**
+	 * Gets the status of a giveaway
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {Promise<GiveawayStatus>}
+	 */
+	async status(giveaway) {
+		const users = this.manager.v12 ? this.manager.client.users.cache : this.manager.client.users;
+		return {
+			messageID: giveaway.messageID,
+			prize: giveaway.prize,
+			startAt: giveaway.startAt,
+			endAt: giveaway.endAt,
+			ended: giveaway.ended,
+			cancelled: giveaway.cancelled,
+			paused: Boolean(giveaway.pausedAt),
+			remainingTime: Math.max(giveaway.remainingTime, 0),
+			winnerCount: giveaway.winnerCount,
+			entrants: this.entrants(giveaway),
+			winners: giveaway.ended
+				? giveaway.winnerIDs.map((id) => ({ id, tag: users.has(id) ? users.get(id).tag : null }))
+				: []
+		};
+	}
+
+	/**
+	 * Gets the number of entrants of a giveaway, from its snapshot once it is ended, or from the participant ledger.
+	 * The requests never reach Discord.
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {number}
+	 */
+	entrants(giveaway) {
+		if (giveaway.scheduled) return 0;
+		if (giveaway.ended && giveaway.entrantIDs) return giveaway.entrantIDs.length;
+		const ledger = this.manager.ledger;
+		return ledger.has(giveaway.messageID) ? ledger.count(giveaway.messageID) : 0;
+	}
+
+	/**
+	 * Builds the countdown page of a giveaway
+	 * @param {Giveaway} giveaway The giveaway
+	 * @returns {string}
+	 */
+	page(giveaway) {
+		const prize = escapeHTML(giveaway.prize);
+		return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${prize}</title>
+<style>
+body { background: #2f3136; color: #dcddde; font-family: sans-serif; text-align: center; padding-top: 15vh; }
+h1 { font-size: 2em; } #timer { font-size: 3em; font-weight: bold; margin: 0.5em 0; } #info { color: #b9bbbe; }
+</style>
+</head>
+<body>
+<h1>🎁 ${prize}</h1>
+<div id="timer"></div>
+<div id="info"></div>
+<script>
+var endAt = ${Number(giveaway.endAt)}, ended = ${giveaway.ended ? 'true' : 'false'}, paused = ${giveaway.pausedAt ? 'true' : 'false'}, cancelled = ${giveaway.cancelled ? 'true' : 'false'};
+function pad(n) { return n < 10 ? '0' + n : n; }
+function tick() {
+	var left = Math.max(endAt - Date.now(), 0), s = Math.floor(left / 1000);
+	document.getElementById('timer').textContent = cancelled ? 'Cancelled'
+		: ended || left === 0 ? 'Ended'
+		: paused ? 'Paused'
+		: (s >= 86400 ? Math.floor(s / 86400) + 'd ' : '') + pad(Math.floor(s / 3600) % 24) + ':' + pad(Math.floor(s / 60) % 60) + ':' + pad(s % 60);
+}
+function refresh() {
+	fetch(location.pathname.replace(/\\/$/, '') + '/status').then(function (r) { return r.json(); }).then(function (status) {
+		endAt = status.endAt; ended = status.ended; paused = status.paused; cancelled = status.cancelled;
+		var info = status.entrants + ' entrant(s) - ' + status.winnerCount + ' winner(s)';
+		if (status.winners.length) info += ' - Won by ' + status.winners.map(function (w) { return w.tag || w.id; }).join(', ');
+		document.getElementById('info').textContent = info;
+		tick();
+	}).catch(function () {});
+}
+tick(); refresh();
+setInterval(tick, 1000); setInterval(refresh, 15000);
+</script>
+</body>
+</html>`;
+	}
+
+	/**
+	 * Sends a response
+	 * @param {http.ServerResponse} res The response
+	 * @param {number} statusCode The status code
+	 * @param {string} contentType The content type
+	 * @param {string} body The body
+	 * @private
+	 */
+	_send(res, statusCode, contentType, body) {
+		res.writeHead(statusCode, { 'Content-Type': contentType });
+		res.end(body);
+	}
+}
+
+module.exports = TimerServer;
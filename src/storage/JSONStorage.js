@@ -0,0 +1,228 @@
+const { writeFile, readFile, exists, open, write, fsync, close, rename, copyFile } = require('fs');
+const { promisify } = require('util');
+const writeFileAsync = promisify(writeFile);
+const existsAsync = promisify(exists);
+const readFileAsync = promisify(readFile);
+const openAsync = promisify(open);
+const writeAsync = promisify(write);
+const fsyncAsync = promisify(fsync);
+const closeAsync = promisify(close);
+const renameAsync = promisify(rename);
+const copyFileAsync = promisify(copyFile);
+const StorageAdapter = require('./StorageAdapter.js');
+
+/**
+ * Stores the giveaways in a JSON file. This is the default storage.
+ *
+ * The writes are queued so they never interleave, and each of them writes a temporary file which then replaces
+ * the JSON file, so a crash can't leave a truncated file. Backups of the file are rotated, and the last good
+ * backup is used if the file is corrupted when the manager starts.
+ * @extends {StorageAdapter}
+ */
+class JSONStorage extends StorageAdapter {
+	/**
+	 * @param {string} [path='./giveaways.json'] The path of the JSON file
+	 * @param {Object} [options]
+	 * @param {number} [options.backups=3] The number of backups to keep, 0 to disable them
+	 * @param {number} [options.backupInterval=600000] The minimum delay between two backups (in ms)
+	 */
+	constructor(path = './giveaways.json', options = {}) {
+		super();
+		/**
+		 * The path of the JSON file
+		 * @type {string}
+		 */
+		this.path = path;
+		/**
+		 * The number of backups to keep
+		 * @type {number}
+		 */
+		this.backups = typeof options.backups === 'number' ? options.backups : 3;
+		/**
+		 * The minimum delay between two backups (in ms)
+		 * @type {number}
+		 */
+		this.backupInterval = typeof options.backupInterval === 'number' ? options.backupInterval : 600000;
+		/**
+		 * The stored giveaways, by message ID
+		 * @type {Map<Discord.Snowflake, GiveawayData>}
+		 */
+		this.giveaways = new Map();
+		/**
+		 * The path of the backup used to recover the giveaways, if the file was corrupted
+		 * @type {?string}
+		 */
+		this.recoveredFrom = null;
+		/**
+		 * The date of the last backup
+		 * @type {number}
+		 * @private
+		 */
+		this._lastBackup = 0;
+		/**
+		 * The promise of the write in progress
+		 * @type {Promise<void>}
+		 * @private
+		 */
+		this._queue = Promise.resolve();
+		/**
+		 * The promise of the write waiting for the one in progress
+		 * @type {?Promise<void>}
+		 * @private
+		 */
+		this._nextWrite = null;
+	}
+
+	/**
+	 * Gets the path of a backup
+	 * @param {number} index The index of the backup, 1 being the most recent
+	 * @returns {string}
+	 */
+	backupPath(index) {
+		return `${this.path}.bak.${index}`;
+	}
+
+	/**
+	 * Reads and parses a JSON file containing giveaways
+	 * @param {string} path The path of the file
+	 * @returns {Promise<GiveawayData[]>}
+	 * @private
+	 */
+	async _readFile(path) {
+		let storageContent = await readFileAsync(path);
+		let giveaways;
+		try {
+			giveaways = JSON.parse(storageContent.toString());
+		}
+		catch (e) {
+			if (e.message === 'Unexpected end of JSON input') {
+				throw new SyntaxError('The storage file is not properly formatted (Unexpected end of JSON input).');
+			}
+			throw e;
+		}
+		if (!Array.isArray(giveaways)) {
+			throw new SyntaxError('The storage file is not properly formatted (giveaways is not an array).');
+		}
+		return giveaways;
+	}
+
+	/**
+	 * Reads the JSON file, or creates it. If the file is corrupted, the last good backup is restored.
+	 * @returns {Promise<void>}
+	 */
+	async init() {
+		// Whether the storage file exists, or not
+		let storageExists = await existsAsync(this.path);
+		// If it doesn't exists
+		if (!storageExists) {
+			// Create the file with an empty array
+			await writeFileAsync(this.path, '[]', 'utf-8');
+			return;
+		}
+		let giveaways;
+		try {
+			giveaways = await this._readFile(this.path);
+		}
+		catch (error) {
+			giveaways = await this._recover(error);
+		}
+		this.giveaways = new Map(giveaways.map((data) => [data.messageID, data]));
+	}
+
+	/**
+	 * Restores the last good backup after the JSON file failed to be read
+	 * @param {Error} error The error thrown when the JSON file was read
+	 * @returns {Promise<GiveawayData[]>}
+	 * @private
+	 */
+	async _recover(error) {
+		for (let i = 1; i <= this.backups; i++) {
+			const path = this.backupPath(i);
+			if (!(await existsAsync(path))) continue;
+			const giveaways = await this._readFile(path).catch(() => null);
+			if (!giveaways) continue;
+			// Keep the corrupted file for investigation, then restore the backup
+			await renameAsync(this.path, `${this.path}.corrupted-${Date.now()}`);
+			await copyFileAsync(path, this.path);
+			this.recoveredFrom = path;
+			console.warn(`The storage file ${this.path} is corrupted (${error.message}), the giveaways were recovered from ${path}.`);
+			return giveaways;
+		}
+		throw error;
+	}
+
+	/**
+	 * Writes the stored giveaways in the JSON file. The writes are queued, and several writes requested
+	 * while another one is in progress are merged.
+	 * @returns {Promise<void>}
+	 */
+	write() {
+		if (!this._nextWrite) {
+			this._nextWrite = this._queue.then(() => {
+				this._nextWrite = null;
+				return this._writeFile();
+			});
+			this._queue = this._nextWrite.catch(() => {});
+		}
+		return this._nextWrite;
+	}
+
+	/**
+	 * Rotates the backups and writes the JSON file through a temporary file
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _writeFile() {
+		const content = JSON.stringify(Array.from(this.giveaways.values()));
+		if (this.backups > 0 && Date.now() - this._lastBackup >= this.backupInterval) {
+			await this._rotateBackups();
+		}
+		const tmpPath = `${this.path}.tmp`;
+		const fd = await openAsync(tmpPath, 'w');
+		try {
+			await writeAsync(fd, content, null, 'utf-8');
+			await fsyncAsync(fd);
+		}
+		finally {
+			await closeAsync(fd);
+		}
+		await renameAsync(tmpPath, this.path);
+	}
+
+	/**
+	 * Shifts the backups and copies the JSON file as the most recent one
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _rotateBackups() {
+		if (!(await existsAsync(this.path))) return;
+		for (let i = this.backups - 1; i >= 1; i--) {
+			if (await existsAsync(this.backupPath(i))) {
+				await renameAsync(this.backupPath(i), this.backupPath(i + 1));
+			}
+		}
+		await copyFileAsync(this.path, this.backupPath(1));
+		this._lastBackup = Date.now();
+	}
+
+	async getAll() {
+		return Array.from(this.giveaways.values());
+	}
+
+	async save(messageID, giveawayData) {
+		this.giveaways.set(messageID, giveawayData);
+		await this.write();
+	}
+
+	async edit(messageID, giveawayData) {
+		this.giveaways.set(messageID, giveawayData);
+		await this.write();
+	}
+
+	async delete(messageID) {
+		this.giveaways.delete(messageID);
+		await this.write();
+	}
+}
+
+module.exports = JSONStorage;
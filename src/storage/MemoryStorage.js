@@ -0,0 +1,37 @@
+const StorageAdapter = require('./StorageAdapter.js');
+
+/**
+ * Stores the giveaways in memory. They are lost when the process exits, so it is meant for tests.
+ * @extends {StorageAdapter}
+ */
+class MemoryStorage extends StorageAdapter {
+	/**
+	 * @param {GiveawayData[]} [giveaways=[]] The giveaways to start with
+	 */
+	constructor(giveaways = []) {
+		super();
+		/**
+		 * The stored giveaways, by message ID
+		 * @type {Map<Discord.Snowflake, GiveawayData>}
+		 */
+		this.giveaways = new Map(giveaways.map((data) => [data.messageID, data]));
+	}
+
+	async getAll() {
+		return Array.from(this.giveaways.values()).map((data) => Object.assign({}, data));
+	}
+
+	async save(messageID, giveawayData) {
+		this.giveaways.set(messageID, Object.assign({}, giveawayData));
+	}
+
+	async edit(messageID, giveawayData) {
+		this.giveaways.set(messageID, Object.assign({}, giveawayData));
+	}
+
+	async delete(messageID) {
+		this.giveaways.delete(messageID);
+	}
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,71 @@
+const StorageAdapter = require('./StorageAdapter.js');
+
+/**
+ * Stores the giveaways in a SQLite database. Requires the optional better-sqlite3 package.
+ * @extends {StorageAdapter}
+ */
+class SQLiteStorage extends StorageAdapter {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.path='./giveaways.sqlite'] The path of the database file
+	 * @param {string} [options.table='giveaways'] The name of the table
+	 */
+	constructor(options = {}) {
+		super();
+		/**
+		 * The path of the database file
+		 * @type {string}
+		 */
+		this.path = options.path || './giveaways.sqlite';
+		/**
+		 * The name of the table
+		 * @type {string}
+		 */
+		this.table = options.table || 'giveaways';
+		/**
+		 * The database connection
+		 * @type {?Object}
+		 */
+		this.db = null;
+	}
+
+	/**
+	 * Opens the database and creates the table
+	 * @returns {Promise<void>}
+	 */
+	async init() {
+		let Database;
+		try {
+			Database = require('better-sqlite3');
+		}
+		catch (e) {
+			throw new Error('SQLiteStorage requires the better-sqlite3 package. Install it with "npm install better-sqlite3".');
+		}
+		this.db = new Database(this.path);
+		this.db.prepare(`CREATE TABLE IF NOT EXISTS ${this.table} (messageID TEXT PRIMARY KEY, data TEXT NOT NULL)`).run();
+	}
+
+	async getAll() {
+		return this.db
+			.prepare(`SELECT data FROM ${this.table}`)
+			.all()
+			.map((row) => JSON.parse(row.data));
+	}
+
+	async save(messageID, giveawayData) {
+		this.db
+			.prepare(`INSERT OR REPLACE INTO ${this.table} (messageID, data) VALUES (?, ?)`)
+			.run(messageID, JSON.stringify(giveawayData));
+	}
+
+	async edit(messageID, giveawayData) {
+		// Like the other adapters, a missing giveaway is inserted instead of being lost
+		await this.save(messageID, giveawayData);
+	}
+
+	async delete(messageID) {
+		this.db.prepare(`DELETE FROM ${this.table} WHERE messageID = ?`).run(messageID);
+	}
+}
+
+module.exports = SQLiteStorage;
@@ -0,0 +1,52 @@
+const { GiveawayData } = require('../Constants.js');
+
+/**
+ * Base class of the storage adapters. Extend it to store the giveaways in your own database.
+ * Every method is asynchronous and the giveaways are identified by their message ID.
+ */
+class StorageAdapter {
+	/**
+	 * Prepares the storage (creates the file, the table...). Called once when the manager starts.
+	 * @returns {Promise<void>}
+	 */
+	async init() {}
+
+	/**
+	 * Gets all the stored giveaways
+	 * @returns {Promise<GiveawayData[]>}
+	 */
+	async getAll() {
+		throw new Error(`${this.constructor.name} does not implement getAll().`);
+	}
+
+	/**
+	 * Stores a new giveaway
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @param {GiveawayData} giveawayData The giveaway data
+	 * @returns {Promise<void>}
+	 */
+	async save(messageID, giveawayData) {
+		throw new Error(`${this.constructor.name} does not implement save().`);
+	}
+
+	/**
+	 * Replaces the data of a stored giveaway
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @param {GiveawayData} giveawayData The new giveaway data
+	 * @returns {Promise<void>}
+	 */
+	async edit(messageID, giveawayData) {
+		throw new Error(`${this.constructor.name} does not implement edit().`);
+	}
+
+	/**
+	 * Deletes a stored giveaway
+	 * @param {Discord.Snowflake} messageID The message ID of the giveaway
+	 * @returns {Promise<void>}
+	 */
+	async delete(messageID) {
+		throw new Error(`${this.constructor.name} does not implement delete().`);
+	}
+}
+
+module.exports = StorageAdapter;
@@ -2,5 +2,16 @@ module.exports = {
     addchartostring(string, char) {
         let str = char.toString();
         return string += str;
+    },
+    /**
+     * Whether the value is a plain object (or an array), used to avoid deep-merging class instances such as storage adapters
+     * @param {*} value The value to check
+     * @returns {boolean}
+     */
+    isPlainObject(value) {
+        if (!value || typeof value !== 'object') return false;
+        if (Array.isArray(value)) return true;
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
     }
 }
\ No newline at end of file
@@ -1,8 +1,40 @@
 declare module "discord-giveaways" {
     import { EventEmitter } from "events";
-    import { Client, PermissionResolvable, ColorResolvable, User, Snowflake, GuildMember, TextChannel, MessageReaction, Message } from "discord.js";
+    import { Client, Collection, PermissionResolvable, ColorResolvable, User, Snowflake, GuildMember, TextChannel, MessageReaction, Message, MessageEmbed } from "discord.js";
 
     export const version: string;
+    export function verifyDraw(data: FairDrawData): FairDrawVerification;
+    export abstract class StorageAdapter {
+        public init(): Promise<void>;
+        public getAll(): Promise<GiveawayData[]>;
+        public save(messageID: Snowflake, giveawayData: GiveawayData): Promise<void>;
+        public edit(messageID: Snowflake, giveawayData: GiveawayData): Promise<void>;
+        public delete(messageID: Snowflake): Promise<void>;
+    }
+    export class JSONStorage extends StorageAdapter {
+        constructor(path?: string, options?: { backups?: number; backupInterval?: number })
+
+        public path: string;
+        public backups: number;
+        public backupInterval: number;
+        public giveaways: Map<Snowflake, GiveawayData>;
+        public recoveredFrom: string | null;
+
+        public backupPath(index: number): string;
+        public write(): Promise<void>;
+    }
+    export class MemoryStorage extends StorageAdapter {
+        constructor(giveaways?: GiveawayData[])
+
+        public giveaways: Map<Snowflake, GiveawayData>;
+    }
+    export class SQLiteStorage extends StorageAdapter {
+        constructor(options?: { path?: string; table?: string })
+
+        public path: string;
+        public table: string;
+        public db: any;
+    }
     export class GiveawaysManager extends EventEmitter {
         constructor(client: Client, options?: GiveawaysManagerOptions)
 
@@ -11,14 +43,40 @@ declare module "discord-giveaways" {
         public options: GiveawaysManagerOptions;
         public ready: boolean;
         public v12: boolean;
+        public messageTracker: MessageTracker;
+        public storage: StorageAdapter | null;
+        public clock: SchedulerClock;
+        public scheduler: Scheduler;
+        public editQueue: EditQueue;
+        public renderer: GiveawayRenderer;
+        public timerServer: TimerServer | null;
+        public ledger: ParticipantLedger;
 
         public delete(messageID: Snowflake, doNotDeleteMessage?: boolean): Promise<void>
         // @ts-ignore-next-line
         public async deleteGiveaway(messageID: Snowflake): Promise<void>
+        public editGiveaway(messageID: Snowflake, giveawayData: GiveawayData): Promise<void>;
+        public getAllGiveaways(): Promise<GiveawayData[]>;
+        public saveGiveaway(messageID: Snowflake, giveawayData: GiveawayData): Promise<void>;
         public edit(messageID: Snowflake, options: GiveawayEditOptions): Promise<Giveaway>;
         public end(messageID: Snowflake): Promise<GuildMember[]>
         public reroll(messageID: Snowflake, options?: GiveawayRerollOptions): Promise<GuildMember[]>
+        public exportSnapshot(messageID: Snowflake): Promise<GiveawaySnapshot>;
+        public claim(messageID: Snowflake, userID: Snowflake): Promise<boolean>;
+        public winningChance(messageID: Snowflake, userID?: Snowflake): Promise<string>;
+        public pause(messageID: Snowflake): Promise<Giveaway>;
+        public resume(messageID: Snowflake): Promise<Giveaway>;
+        public getScheduledGiveaways(guildID?: Snowflake): Giveaway[];
+        public cancelScheduled(messageID: Snowflake): Promise<Giveaway>;
+        public startRecurring(channel: TextChannel, options: GiveawaySeriesOptions): Promise<Giveaway>;
+        public getSeriesGiveaways(seriesID: string): Giveaway[];
+        public getSeries(seriesID: string): GiveawaySeries | null;
+        public getSeriesStats(seriesID: string): GiveawaySeriesStats | null;
+        public pauseSeries(seriesID: string): Promise<GiveawaySeries>;
+        public resumeSeries(seriesID: string): Promise<GiveawaySeries>;
         public start(channel: TextChannel, options: GiveawayStartOptions): Promise<Giveaway>;
+        public updateServerRequirement(giveaway: Giveaway): Promise<void>;
+        public scheduleGiveaway(giveaway: Giveaway): void;
 
         public on<K extends keyof GiveawaysManagerEvents>(event: K, listener: (...args: GiveawaysManagerEvents[K]) => void): this;
 
@@ -27,10 +85,36 @@ declare module "discord-giveaways" {
         public emit<K extends keyof GiveawaysManagerEvents>(event: K, ...args: GiveawaysManagerEvents[K]): boolean;
     }
     interface GiveawaysManagerOptions {
-        storage?: string;
+        storage?: string | StorageAdapter | false;
         updateCountdownEvery?: number ;
+        editInterval?: number;
+        render?: (giveaway: Giveaway, state: GiveawayRenderState, context: GiveawayRenderContext) => RenderedGiveaway | void | Promise<RenderedGiveaway | void>;
         DJSlib?: "v12" | "v11";
+        clock?: SchedulerClock;
         default?: GiveawayStartOptions;
+        entryCheck?: {
+            enabled?: boolean;
+            dmMessage?: string;
+            channelMessage?: string;
+            deleteChannelMessageAfter?: number;
+        };
+        messageTracking?: {
+            enabled?: boolean;
+            ignorePatterns?: (RegExp | string)[];
+            saveEvery?: number;
+        };
+        claimRerollMessages?: GiveawayRerollOptions["messages"];
+        participants?: {
+            maxUsers?: number;
+            logProgress?: boolean;
+            progressEvery?: number;
+        };
+        liveTimer?: {
+            server?: boolean;
+            port?: number;
+            host?: string | null;
+            baseURL?: string | null;
+        };
     }
     interface GiveawayStartOptions {
         time?: number;
@@ -40,10 +124,38 @@ declare module "discord-giveaways" {
         botsCanWin?: boolean;
         exemptPermissions?: PermissionResolvable[];
         exemptMembers?: () => boolean;
+        entryWeight?: (member: GuildMember, weight: number) => number | Promise<number>;
+        bonusEntries?: { [roleID: string]: number };
         embedColor?: ColorResolvable;
         embedColorEnd?: ColorResolvable;
+        embedColorPaused?: ColorResolvable;
+        embedColorCountdown?: ColorResolvable;
         reaction?: string;
         messages?: GiveawaysMessages;
+        rolereq?: boolean;
+        roleid?: Snowflake[];
+        joinedreq?: boolean;
+        joinedtime?: number;
+        agereq?: boolean;
+        agetime?: number;
+        messagereq?: boolean;
+        messageamount?: number;
+        serverreq?: boolean;
+        serverlink?: string[];
+        bypassrole?: Snowflake[];
+        winnerRole?: Snowflake | Snowflake[];
+        winnerRoleDuration?: number;
+        giveawayMessageWinner?: string;
+        fairDraw?: boolean;
+        startAt?: number | Date;
+        showUpcoming?: boolean;
+        isdrop?: boolean;
+        tiers?: PrizeTier[];
+        antiSnipe?: AntiSnipeOptions;
+        minParticipants?: number;
+        minParticipantsPolicy?: MinParticipantsPolicy;
+        claimWithin?: number;
+        claimReaction?: string;
     }
     interface GiveawaysMessages {
         giveaway?: string;
@@ -56,18 +168,73 @@ declare module "discord-giveaways" {
         winners?: string;
         endedAt?: string;
         hostedBy?: string;
+        drop?: string;
+        dropEnded?: string;
+        giveawayCancelled?: string;
+        minParticipants?: string;
+        notEnoughParticipants?: string;
+        endsAt?: string;
+        countdown?: string;
+        liveTimer?: string;
+        claimPrize?: string;
+        fairDrawCommit?: string;
+        fairDrawReveal?: string;
+        upcoming?: string;
+        startsAt?: string;
+        giveawayPaused?: string;
+        paused?: string;
+        pausedAt?: string;
+        tier?: string;
+        tierWinners?: string;
+        bonusEntry?: string;
+        extended?: string;
+        dropSlots?: string;
+        dropWinner?: string;
+        embed?: {
+            upcoming?: string;
+            running?: string;
+            ended?: string;
+            noWinner?: string;
+            dropEnded?: string;
+            cancelled?: string;
+        };
+        requirements?: {
+            bypass?: string;
+            role?: string;
+            joined?: string;
+            age?: string;
+            message?: string;
+            messages?: string;
+        };
         units?: {
             seconds?: string;
             minutes?: string;
             hours?: string;
             days?: string;
+            weeks?: string;
             pluralS?: false;
         };
     }
     interface GiveawaysManagerEvents {
+        error: [Error];
         giveawayEnded: [Giveaway, GuildMember[]];
+        giveawayRerolled: [Giveaway, GuildMember[], Snowflake[]];
+        giveawayStarted: [Giveaway, Snowflake];
+        giveawayPaused: [Giveaway];
+        giveawayResumed: [Giveaway];
+        giveawayExtended: [Giveaway, number, number, "antiSnipe" | "minParticipants"];
+        giveawayCancelled: [Giveaway, "minParticipants" | "scheduled"];
+        giveawaySeriesEnded: [GiveawaySeries, Giveaway];
+        giveawayDropWon: [Giveaway, GuildMember, number];
+        giveawayClaimed: [Giveaway, Snowflake];
+        giveawayClaimExpired: [Giveaway, Snowflake[]];
+        giveawayAutoRerolled: [Giveaway, GuildMember[], Snowflake[]];
         giveawayReactionAdded: [Giveaway, GuildMember, MessageReaction];
         giveawayReactionRemoved: [Giveaway, GuildMember, MessageReaction];
+        giveawayEntryDenied: [Giveaway, GuildMember, { requirement: string; reason: string }[]];
+        serverRequirementError: [Giveaway, string, Error];
+        winnerRoleFailed: [Giveaway, GuildMember, Snowflake, Error];
+        winnerMessageReport: [Giveaway, WinnerMessageReport[]];
     }
     class Giveaway extends EventEmitter {
         constructor(manager: GiveawaysManager, options: GiveawayData)
@@ -80,8 +247,22 @@ declare module "discord-giveaways" {
         public data: GiveawayData;
         public embedColor: ColorResolvable;
         public embedColorEnd: ColorResolvable;
+        readonly embedColorPaused: ColorResolvable;
+        readonly embedColorCountdown: ColorResolvable;
         public endAt: number;
         public ended: boolean;
+        public scheduled: boolean;
+        public scheduledID: Snowflake | null;
+        public showUpcoming: boolean;
+        readonly status: "scheduled" | "running" | "paused" | "ended" | "cancelled";
+        public pausedAt: number | null;
+        public extensions: number;
+        public minParticipants: number;
+        public minParticipantsExtensions: number;
+        public cancelled: boolean;
+        readonly minParticipantsPolicy: MinParticipantsPolicy;
+        readonly antiSnipe: AntiSnipeOptions;
+        public series: GiveawaySeries | null;
         public exemptPermissions: PermissionResolvable[];
         readonly giveawayDuration: number;
         public guildID: Snowflake;
@@ -95,26 +276,306 @@ declare module "discord-giveaways" {
         readonly remainingTime: number;
         public startAt: number;
         public winnerCount: number;
+        public messageCounts: { [userID: string]: number };
+        public requiredServers: RequiredServer[];
+        public serverslist: string;
+        public winnerRole?: Snowflake | Snowflake[];
+        public winnerRoleDuration: number | null;
+        readonly winnerRoleIDs: Snowflake[];
+        public winnerIDs: Snowflake[];
+        public tiers: PrizeTier[];
+        public bonusEntries: { [roleID: string]: number };
+        readonly weighted: boolean;
+        readonly entryWeightFunction: ((member: GuildMember, weight: number) => number | Promise<number>) | null;
+        public entrantWeights: { [userID: string]: number } | null;
+        public roleGrants: WinnerRoleGrant[];
+        public entrantIDs: Snowflake[] | null;
+        public snapshotAt: number | null;
+        public fairDraw: boolean;
+        public seed: string | null;
+        public seedHash: string | null;
+        public lastDraw: FairDrawRound | null;
+        public rerollHistory: RerollRecord[];
+        readonly pastWinnerIDs: Snowflake[];
+        public claimWithin: number | null;
+        public claims: WinnerClaim[];
+        readonly claimReaction: string;
+        readonly pendingClaims: WinnerClaim[];
+        readonly claimText: string;
+        public dropWinners: DropWinner[];
+        public giveawayMessageWinner?: string;
+        readonly messageURL: string;
+
+        public requirements: RequirementsChecker;
+        public participants: ParticipantCollector;
+        readonly messageReaction: MessageReaction | null;
 
         public exemptMembers(): boolean;
+        public checkRequirements(member: GuildMember): Promise<RequirementResult>;
+        public evaluateEntrants(): Promise<Collection<Snowflake, RequirementResult>>;
+        public fetchEntrants(): Promise<Collection<Snowflake, GuildMember>>;
+        public isExempted(member: GuildMember): Promise<boolean>;
+        public fetchDropWinners(): Promise<GuildMember[]>;
+        public getWeight(member: GuildMember): Promise<number>;
+        public fetchWeights(entrants: Collection<Snowflake, GuildMember>): Promise<{ [userID: string]: number }>;
+        public addWinnerRole(members: GuildMember[]): Promise<void>;
+        public removeWinnerRole(userIDs: Snowflake[], roleIDs?: Snowflake[]): Promise<void>;
+        public tierOf(userID: Snowflake): PrizeTier | null;
+        public prizeOf(userID: Snowflake): string;
+        public winnerRoleIDsOf(userID: Snowflake): Snowflake[];
+        public assignTiers(winnerIDs: Snowflake[]): void;
+        public setWinners(winnerIDs: Snowflake[], replacements?: { [replacedID: string]: Snowflake }): void;
+        public formatWinners(winners: (GuildMember | Snowflake)[]): string;
+        public messageWinners(members: GuildMember[]): Promise<WinnerMessageReport[]>;
+        public ValidEntry(): Promise<number>;
+        public winningChance(entries?: number, member?: GuildMember): Promise<string>;
         public edit(options: GiveawayEditOptions): Promise<Giveaway>;
+        public cancel(entrants: Collection<Snowflake, GuildMember>): Promise<void>;
+        public pause(): Promise<Giveaway>;
+        public resume(): Promise<Giveaway>;
         public end(): Promise<GuildMember[]>
+        public fetchUpcomingMessage(): Promise<Message | null>;
         // @ts-ignore-next-line
         public async fetchMessage(): Promise<Message>
         public reroll(options: GiveawayRerollOptions): Promise<GuildMember[]>
+        public fetchSnapshotEntrants(): Promise<Collection<Snowflake, GuildMember>>;
+        public exportSnapshot(): GiveawaySnapshot | null;
+        public openClaims(members: GuildMember[], message: Message | null): Promise<void>;
+        public claim(userID: Snowflake): Promise<boolean>;
         // @ts-ignore-next-line
-        public async roll(winnerCount?: number): Promise<GuildMember[]>;
+        public async roll(winnerCount?: number, entrants?: Collection<Snowflake, GuildMember>): Promise<GuildMember[]>;
+    }
+    interface SchedulerClock {
+        now(): number;
+        setTimeout(fn: () => void, ms: number): any;
+        clearTimeout(timeout: any): void;
+    }
+    interface SchedulerTask {
+        giveawayID: Snowflake;
+        type: "render" | "lastChance" | "countdown" | "end" | "servers" | "roles" | "reconcile" | "claims" | string;
+        at: number;
+    }
+    class Scheduler {
+        constructor(handler: (task: SchedulerTask) => any, options?: { clock?: SchedulerClock })
+
+        public static defaultClock: SchedulerClock;
+        public handler: (task: SchedulerTask) => any;
+        public clock: SchedulerClock;
+        readonly size: number;
+
+        public schedule(giveawayID: Snowflake, type: string, at: number): SchedulerTask;
+        public cancel(giveawayID: Snowflake, type?: string): void;
+        public get(giveawayID: Snowflake, type: string): SchedulerTask | null;
+        public inspect(giveawayID?: Snowflake): SchedulerTask[];
+        public tick(): Promise<void>;
+        public clear(): void;
+    }
+    class EditQueue {
+        constructor(options?: { interval?: number; clock?: SchedulerClock })
+
+        public interval: number;
+        public clock: SchedulerClock;
+        readonly size: number;
+
+        public push<T>(key: string, run: () => Promise<T>): Promise<T>;
+    }
+    type GiveawayRenderState = "upcoming" | "running" | "paused" | "lastChance" | "countdown" | "ended" | "noWinner" | "cancelled";
+    interface RenderedGiveaway {
+        content: string;
+        embed: MessageEmbed;
+    }
+    interface GiveawayRenderContext {
+        placeholders: { [key: string]: any };
+        format(template: string): string;
+        defaultRender(): RenderedGiveaway;
+    }
+    class GiveawayRenderer {
+        constructor(manager: GiveawaysManager)
+
+        public manager: GiveawaysManager;
+
+        public messages(giveaway: Giveaway): GiveawaysMessages;
+        public format(template: string, placeholders: { [key: string]: any }): string;
+        public formatLines(template: string, placeholders: { [key: string]: any }): string;
+        public timerURL(giveaway: Giveaway): string | null;
+        public requirements(giveaway: Giveaway): string;
+        public bonusEntries(giveaway: Giveaway): string;
+        public tierList(giveaway: Giveaway, template: string): string;
+        public dropOrder(giveaway: Giveaway): string;
+        public placeholders(giveaway: Giveaway, state: GiveawayRenderState, extra?: { entries?: number; winners?: GuildMember[]; seconds?: number }): Promise<{ [key: string]: any }>;
+        public render(giveaway: Giveaway, state: GiveawayRenderState, extra?: { entries?: number; winners?: GuildMember[]; seconds?: number }): Promise<RenderedGiveaway>;
+        public renderDefault(giveaway: Giveaway, state: GiveawayRenderState, placeholders: { [key: string]: any }): RenderedGiveaway;
+        public runningState(giveaway: Giveaway): GiveawayRenderState;
+        public isLastChance(giveaway: Giveaway): boolean;
+    }
+    interface GiveawayStatus {
+        messageID: Snowflake;
+        prize: string;
+        startAt: number;
+        endAt: number;
+        ended: boolean;
+        cancelled: boolean;
+        paused: boolean;
+        remainingTime: number;
+        winnerCount: number;
+        entrants: number;
+        winners: { id: Snowflake; tag: string | null }[];
+    }
+    class TimerServer {
+        constructor(manager: GiveawaysManager, options?: { port?: number; host?: string | null })
+
+        public manager: GiveawaysManager;
+        public port: number;
+        public host: string | null;
+        public server: import("http").Server | null;
+
+        public start(): Promise<void>;
+        public stop(): Promise<void>;
+        public handle(req: import("http").IncomingMessage, res: import("http").ServerResponse): Promise<void>;
+        public status(giveaway: Giveaway): Promise<GiveawayStatus>;
+        public entrants(giveaway: Giveaway): number;
+        public page(giveaway: Giveaway): string;
+    }
+    class ParticipantCollector {
+        constructor(giveaway: Giveaway)
+
+        public giveaway: Giveaway;
+        readonly options: { maxUsers: number; logProgress: boolean; progressEvery: number };
+
+        public fetchPage(reaction: MessageReaction, after: Snowflake | null): Promise<Collection<Snowflake, User>>;
+        public collect(reaction: MessageReaction): Promise<Collection<Snowflake, User>>;
+    }
+    class ParticipantLedger {
+        constructor(manager: GiveawaysManager)
+
+        public manager: GiveawaysManager;
+
+        public has(giveawayID: Snowflake): boolean;
+        public get(giveawayID: Snowflake): Snowflake[];
+        public count(giveawayID: Snowflake): number;
+        public set(giveawayID: Snowflake, userIDs: Iterable<Snowflake>): void;
+        public add(giveawayID: Snowflake, userID: Snowflake): void;
+        public remove(giveawayID: Snowflake, userID: Snowflake): void;
+        public delete(giveawayID: Snowflake): void;
+        public reconcile(giveaway: Giveaway): Promise<void>;
+        public filter(giveaway: Giveaway, members: Iterable<GuildMember>, results?: Map<Snowflake, RequirementResult>): Promise<Snowflake[]>;
+    }
+    class MessageTracker {
+        constructor(manager: GiveawaysManager)
+
+        public manager: GiveawaysManager;
+        public pending: Set<Giveaway>;
+
+        public isIgnored(content: string): boolean;
+        public handleMessage(message: Message): void;
+        public getCount(giveaway: Giveaway, userID: Snowflake): number;
+        public save(): Promise<void>;
+    }
+    class RequirementsChecker {
+        constructor(giveaway: Giveaway)
+
+        public giveaway: Giveaway;
+        readonly enabled: object[];
+
+        public hasBypass(member: GuildMember): boolean;
+        public check(member: GuildMember): Promise<RequirementResult>;
+        public checkAll(members: Collection<Snowflake, GuildMember>): Promise<Collection<Snowflake, RequirementResult>>;
+    }
+    interface WinnerMessageReport {
+        member: GuildMember;
+        delivered: boolean;
+        method: "dm" | "channel" | null;
+        error: Error | null;
+    }
+    interface WinnerRoleGrant {
+        userID: Snowflake;
+        roleIDs: Snowflake[];
+        removeAt: number;
+    }
+    interface RequiredServer {
+        invite: string;
+        code: string | null;
+        guildID: Snowflake | null;
+        name: string | null;
+        error: "INVALID_INVITE" | "GUILD_UNAVAILABLE" | null;
+    }
+    interface RequirementResult {
+        member: GuildMember;
+        eligible: boolean;
+        bypassed: boolean;
+        failed: { requirement: string; reason: string; error?: Error }[];
     }
     interface GiveawayEditOptions {
         newWinnerCount?: number;
         newPrize?: string;
         addTime?: number;
         setEndTimestamp?: number;
+        setStartTimestamp?: number;
+    }
+    interface GiveawaySnapshot {
+        messageID: Snowflake;
+        channelID: Snowflake;
+        guildID: Snowflake;
+        prize: string;
+        startAt: number;
+        endAt: number;
+        snapshotAt: number;
+        entrantIDs: Snowflake[];
+        winnerIDs: Snowflake[];
+        seed?: string;
+        seedHash?: string;
+        round?: number;
+        winnerCount?: number;
+        excludedIDs?: Snowflake[];
+        drawnIDs?: Snowflake[];
+        weights?: { [userID: string]: number };
+    }
+    interface FairDrawRound {
+        round: number;
+        winnerCount: number;
+        excludedIDs: Snowflake[];
+        drawnIDs: Snowflake[];
+    }
+    interface WinnerClaim {
+        userID: Snowflake;
+        messageID: Snowflake | null;
+        deadline: number;
+        status: "pending" | "claimed" | "expired" | "replaced";
+        claimedAt: number | null;
+    }
+    interface RerollRecord {
+        at: number;
+        replacedIDs: Snowflake[];
+        winnerIDs: Snowflake[];
+        reason: string | null;
+    }
+    interface FairDrawData {
+        seed: string;
+        seedHash: string;
+        entrantIDs: Snowflake[];
+        winnerCount: number;
+        drawnIDs?: Snowflake[];
+        winnerIDs?: Snowflake[];
+        round?: number;
+        excludedIDs?: Snowflake[];
+        weights?: { [userID: string]: number };
+    }
+    interface FairDrawVerification {
+        valid: boolean;
+        seedMatches: boolean;
+        winnersMatch: boolean;
+        winnerIDs: Snowflake[];
     }
     interface GiveawayRerollOptions {
         winnerCount?: number | null;
+        useSnapshot?: boolean;
+        excludeWinners?: boolean;
+        tier?: number;
+        replace?: Snowflake[];
+        reason?: string;
         messages?: {
             congrat?: string;
+            replace?: string;
             error?: string;
         };
     }
@@ -131,8 +592,92 @@ declare module "discord-giveaways" {
         reaction?: string;
         exemptPermissions?: PermissionResolvable[];
         exemptMembers?: (member: GuildMember) => boolean;
+        entryWeight?: (member: GuildMember, weight: number) => number | Promise<number>;
+        bonusEntries?: { [roleID: string]: number };
+        entrantWeights?: { [userID: string]: number };
         embedColor?: string;
         embedColorEnd?: string;
+        embedColorPaused?: string;
+        embedColorCountdown?: string;
         hostedBy?: string | null;
+        messageCounts?: { [userID: string]: number };
+        requiredServers?: RequiredServer[];
+        winnerRole?: Snowflake | Snowflake[];
+        winnerRoleDuration?: number | null;
+        winnerIDs?: Snowflake[];
+        roleGrants?: WinnerRoleGrant[];
+        entrantIDs?: Snowflake[] | null;
+        snapshotAt?: number | null;
+        scheduled?: boolean;
+        scheduledID?: Snowflake;
+        showUpcoming?: boolean;
+        series?: GiveawaySeries;
+        pausedAt?: number;
+        fairDraw?: boolean;
+        seed?: string | null;
+        seedHash?: string | null;
+        lastDraw?: FairDrawRound | null;
+        rerollHistory?: RerollRecord[];
+        claimWithin?: number | null;
+        claimReaction?: string;
+        claims?: WinnerClaim[];
+        dropWinners?: DropWinner[];
+        tiers?: PrizeTier[];
+        antiSnipe?: AntiSnipeOptions;
+        extensions?: number;
+        minParticipants?: number;
+        minParticipantsPolicy?: MinParticipantsPolicy;
+        minParticipantsExtensions?: number;
+        cancelled?: boolean;
+    }
+    interface GiveawaySeriesOptions {
+        cron?: string;
+        interval?: number;
+        template: GiveawayStartOptions;
+        startAt?: number | Date;
+        maxOccurrences?: number;
+        until?: number | Date;
+    }
+    interface GiveawaySeries {
+        id: string;
+        channelID: Snowflake;
+        cron: string | null;
+        interval: number | null;
+        template: GiveawayStartOptions;
+        occurrence: number;
+        maxOccurrences: number | null;
+        until: number | null;
+        paused: boolean;
+    }
+    interface GiveawaySeriesStats {
+        seriesID: string;
+        occurrences: number;
+        ended: number;
+        entries: number;
+        uniqueEntrants: number;
+        winners: number;
+        messageIDs: Snowflake[];
+    }
+    interface MinParticipantsPolicy {
+        action?: "extend" | "cancel";
+        extendBy?: number;
+        maxExtensions?: number;
+    }
+    interface AntiSnipeOptions {
+        enabled?: boolean;
+        entries?: number;
+        within?: number;
+        extendBy?: number;
+        maxExtensions?: number;
+    }
+    interface PrizeTier {
+        prize: string;
+        winnerCount: number;
+        winnerRole?: Snowflake | Snowflake[] | null;
+        winnerIDs?: Snowflake[];
+    }
+    interface DropWinner {
+        userID: Snowflake;
+        at: number;
     }
 }